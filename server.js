@@ -1,9 +1,39 @@
 const http = require('http');
+const https = require('https');
 const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const pathLib = require('path');
 const { URL } = require('url');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
 
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'predictx_secret_' + crypto.randomBytes(16).toString('hex');
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+const BINARY_OUTCOMES = [{ id: 'YES', label: 'Yes' }, { id: 'NO', label: 'No' }];
+const MAX_OUTCOMES = 20;
+const LIQUIDITY = parseFloat(process.env.LMSR_LIQUIDITY) || 3000;
+const STORAGE = process.env.STORAGE || 'file';
+const DATA_DIR = process.env.DATA_DIR || pathLib.join(__dirname, 'data');
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL) || 60000;
+const SEED_DEMO = process.env.SEED_DEMO === '1' || process.argv.includes('--seed');
+const DAY = 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = (parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60) * 1000;
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60) * 1000;
+const EQUITY_INTERVAL = (parseInt(process.env.EQUITY_INTERVAL) || 60 * 60) * 1000;
+const EQUITY_RETENTION = 90 * DAY;
+const WEBHOOK_BACKOFF = (parseInt(process.env.WEBHOOK_BACKOFF) || 10) * 1000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+const BODY_LIMIT = parseInt(process.env.BODY_LIMIT) || 64 * 1024;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const ORACLE_DISPUTE_WINDOW = (parseInt(process.env.ORACLE_DISPUTE_WINDOW) || 24 * 60 * 60) * 1000;
+const ORACLE_RETRY = (parseInt(process.env.ORACLE_RETRY) || 60) * 1000;
+const TAKER_FEE_BPS = parseInt(process.env.TAKER_FEE_BPS ?? 100);
+const MAKER_FEE_BPS = parseInt(process.env.MAKER_FEE_BPS ?? 0);
+const SIGNUP_BONUS = 10000;
+const WALLET_LIMITS = { minDeposit: 10, maxDeposit: 10000, minWithdrawal: 10, dailyWithdrawal: 25000 };
 
 // ============ IN-MEMORY DATABASE ============
 const db = {
@@ -12,9 +42,201 @@ const db = {
   markets: [],
   trades: [],
   positions: new Map(),
-  orderBook: new Map()
+  settlements: [],
+  ledger: [],
+  series: new Map(),
+  equity: new Map(),
+  orders: new Map(),
+  orderBook: new Map(),
+  comments: new Map(),
+  watchlists: new Map(),
+  alerts: new Map(),
+  triggers: new Map(),
+  notifications: new Map(),
+  webhooks: new Map(),
+  deliveries: new Map(),
+  apiKeys: new Map(),
+  keyLog: [],
+  idempotency: new Map(),
+  fees: new Map(),
+  treasury: { id: 'treasury', balance: 0 },
+  counters: { order: 0, ledger: 0, comment: 0, alert: 0, trigger: 0, notification: 0, webhook: 0, delivery: 0, apiKey: 0 }
+};
+
+function nextId(kind) {
+  touch('counters', kind);
+  return ++db.counters[kind];
+}
+
+// ============ PERSISTENCE ============
+// Every mutation is appended to a write-ahead journal as a list of ops
+// against the db collections above; snapshots of the whole db are taken
+// periodically and the journal restarts after each one. On boot the latest
+// snapshot is loaded and newer journal entries are replayed on top.
+// Handlers don't write ops directly: they touch() what they change and the
+// request is committed as one journal entry before the response goes out.
+// The order book is not stored, it is rebuilt from open orders. Price
+// candles and equity samples are derived data and only travel in snapshots.
+const COLLECTIONS = {
+  users: 'map',
+  sessions: 'map',
+  markets: 'list',
+  trades: 'list',
+  positions: 'map',
+  settlements: 'list',
+  ledger: 'list',
+  orders: 'map',
+  series: 'map',
+  equity: 'map',
+  comments: 'map',
+  watchlists: 'map',
+  alerts: 'map',
+  triggers: 'map',
+  notifications: 'map',
+  webhooks: 'map',
+  deliveries: 'map',
+  apiKeys: 'map',
+  keyLog: 'list',
+  idempotency: 'map',
+  fees: 'map',
+  treasury: 'object',
+  counters: 'object'
 };
 
+const journal = { seq: 0, pending: new Map(), appends: [] };
+
+function touch(coll, key, fields) {
+  const id = coll + ':' + key;
+  const prev = journal.pending.get(id);
+  if (prev && !prev.fields) return;
+  journal.pending.set(id, { coll, key, fields: fields && prev ? [...new Set([...prev.fields, ...fields])] : fields });
+}
+
+function appendLog(coll, value) {
+  journal.appends.push({ op: 'push', coll, value });
+}
+
+function commit(type) {
+  if (!journal.pending.size && !journal.appends.length) return;
+  const ops = [...journal.pending.values()].map(({ coll, key, fields }) => {
+    const value = COLLECTIONS[coll] === 'map' ? db[coll].get(key) : db[coll][key];
+    if (value === undefined) return { op: 'del', coll, key };
+    if (!fields) return { op: 'set', coll, key, value };
+    const patch = {};
+    fields.forEach(f => patch[f] = value[f]);
+    return { op: 'patch', coll, key, value: patch };
+  }).concat(journal.appends);
+  journal.pending.clear();
+  journal.appends = [];
+  storage.append({ seq: ++journal.seq, type, ts: Date.now(), ops });
+}
+
+function applyOp({ op, coll, key, value }) {
+  const target = db[coll];
+  const isMap = COLLECTIONS[coll] === 'map';
+  if (op === 'push') target.push(value);
+  else if (op === 'del') isMap ? target.delete(key) : delete target[key];
+  else if (op === 'patch') Object.assign(isMap ? target.get(key) : target[key], value);
+  else if (isMap) target.set(key, value);
+  else target[key] = value;
+}
+
+function serializeDb() {
+  const data = {};
+  Object.keys(COLLECTIONS).forEach(coll => {
+    data[coll] = COLLECTIONS[coll] === 'map' ? [...db[coll]] : db[coll];
+  });
+  return data;
+}
+
+function restoreDb(data) {
+  Object.keys(COLLECTIONS).forEach(coll => {
+    if (data[coll] === undefined) return;
+    if (COLLECTIONS[coll] === 'map') db[coll] = new Map(data[coll]);
+    else if (COLLECTIONS[coll] === 'object') Object.assign(db[coll], data[coll]);
+    else db[coll] = data[coll];
+  });
+}
+
+function createFileStorage(dir) {
+  const journalFile = pathLib.join(dir, 'journal.log');
+  const snapshotFile = pathLib.join(dir, 'snapshot.json');
+  fs.mkdirSync(dir, { recursive: true });
+  let fd = fs.openSync(journalFile, 'a');
+  
+  return {
+    load() {
+      const snapshot = fs.existsSync(snapshotFile) ? JSON.parse(fs.readFileSync(snapshotFile, 'utf8')) : null;
+      const entries = [];
+      fs.readFileSync(journalFile, 'utf8').split('\n').forEach(line => {
+        if (!line) return;
+        // A torn final line from a crash mid-write is dropped
+        try { entries.push(JSON.parse(line)); } catch {}
+      });
+      return { snapshot, entries };
+    },
+    append(entry) {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      if (process.env.JOURNAL_FSYNC) fs.fsyncSync(fd);
+    },
+    snapshot(state) {
+      fs.writeFileSync(snapshotFile + '.tmp', JSON.stringify(state));
+      fs.renameSync(snapshotFile + '.tmp', snapshotFile);
+      fs.closeSync(fd);
+      fs.truncateSync(journalFile, 0);
+      fd = fs.openSync(journalFile, 'a');
+    },
+    // The token signing key is generated once and kept next to the data, so
+    // sessions outlive a restart without JWT_SECRET having to be configured
+    secret() {
+      const file = pathLib.join(dir, 'secret.key');
+      if (!fs.existsSync(file)) fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      return fs.readFileSync(file, 'utf8').trim();
+    }
+  };
+}
+
+function createMemoryStorage() {
+  return {
+    load: () => ({ snapshot: null, entries: [] }),
+    append() {},
+    snapshot() {},
+    secret: () => crypto.randomBytes(32).toString('hex')
+  };
+}
+
+const storage = STORAGE === 'memory' ? createMemoryStorage() : createFileStorage(DATA_DIR);
+const JWT_SECRET = process.env.JWT_SECRET || storage.secret();
+
+function loadState() {
+  const { snapshot, entries } = storage.load();
+  if (snapshot) {
+    restoreDb(snapshot.data);
+    journal.seq = snapshot.seq;
+  }
+  const replay = entries.filter(e => e.seq > journal.seq);
+  replay.forEach(e => {
+    e.ops.forEach(applyOp);
+    journal.seq = e.seq;
+  });
+  
+  // Lookup indexes and the order book aren't persisted; rebuild them
+  db.markets.forEach(m => db.orderBook.set(m.id, { yes: [], no: [] }));
+  db.alerts.forEach(a => { if (a.active) indexAlert(a); });
+  db.triggers.forEach(t => { if (t.status === 'open') indexTrigger(t); });
+  [...db.orders.values()]
+    .filter(o => o.status === 'open')
+    .sort((a, b) => b.price - a.price || a.id - b.id)
+    .forEach(o => bookSide(o.marketId, o.side).push(o));
+  
+  return !!snapshot || replay.length > 0;
+}
+
+function takeSnapshot() {
+  commit('tick');
+  storage.snapshot({ seq: journal.seq, ts: Date.now(), data: serializeDb() });
+}
+
 // ============ MARKET GENERATION ============
 const CATEGORIES = [
   {id:"crypto",name:"Crypto",icon:"₿",color:"#F7931A"},
@@ -34,256 +256,3638 @@ const TITLES = {
   entertainment:["Movie gross $%dB","Album %dM sales","Netflix hit %dM","Streaming record","Concert $%dM tour"]
 };
 
+// Markets are binary (YES/NO) unless given a list of outcomes. Starting
+// prices come from `probability` for binary markets, otherwise from
+// `probabilities` (percent per outcome), defaulting to an even split.
+// A market with a future openAt starts out as a draft.
+function createMarket({ title, description = '', criteria = '', category, outcomes = BINARY_OUTCOMES, probability, probabilities, openAt = Date.now(), closeAt, liquidity = LIQUIDITY, oracle = null, createdBy = null }) {
+  const c = CATEGORIES.find(x => x.id === category);
+  const ids = outcomes.map(o => o.id);
+  const type = ids.join() === 'YES,NO' ? 'binary' : 'categorical';
+  if (!probabilities) probabilities = type === 'binary' ? [probability, 100 - probability] : ids.map(() => 100 / ids.length);
+  const market = {
+    id: db.markets.length,
+    type,
+    outcomes: outcomes.map(o => ({ id: o.id, label: o.label })),
+    liquidity,
+    q: initialShares(ids, probabilities, liquidity),
+    title,
+    description,
+    criteria,
+    cat: c.id,
+    catName: c.name,
+    icon: c.icon,
+    color: c.color,
+    prices: {},
+    vol: 0,
+    users: 0,
+    openAt,
+    closeAt,
+    status: 'draft',
+    halted: false,
+    haltReason: null,
+    oracle: oracle && oracleConfig(oracle),
+    evidence: [],
+    proposal: null,
+    createdBy,
+    createdAt: Date.now(),
+    lastUpdate: Date.now(),
+    outcome: null,
+    resolvedAt: null,
+    resolvedBy: null
+  };
+  
+  setPrices(market);
+  market.status = marketStatus(market);
+  db.markets.push(market);
+  db.orderBook.set(market.id, { yes: [], no: [] });
+  touch('markets', market.id);
+  recordPrices(market);
+  return market;
+}
+
+// Outcome ids are derived from the labels: "3+ cuts" becomes 3_CUTS
+function outcomeList(labels) {
+  const ids = [];
+  return labels.map((label, i) => {
+    let id = label.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'OUTCOME_' + (i + 1);
+    if (id === 'INVALID' || ids.includes(id)) id += '_' + (i + 1);
+    ids.push(id);
+    return { id, label };
+  });
+}
+
+function hasOutcome(market, id) {
+  return market.outcomes.some(o => o.id === id);
+}
+
+const CATEGORICAL_SEEDS = [
+  { title: "Who wins the NBA Finals?", category: "sports", outcomes: ["Celtics", "Nuggets", "Thunder", "Knicks", "Other"] },
+  { title: "How many Fed rate cuts this year?", category: "economy", outcomes: ["0", "1", "2", "3+"] },
+  { title: "Which company releases the top AI model next?", category: "tech", outcomes: ["OpenAI", "Google", "Anthropic", "Meta"] }
+];
+
+// Demo data for local development, only used with --seed / SEED_DEMO=1
 function generateMarkets() {
-  let id = 0;
   CATEGORIES.forEach(c => {
     for (let i = 0; i < 100; i++) {
       const template = TITLES[c.id][Math.floor(Math.random() * TITLES[c.id].length)];
       const num = Math.floor(Math.random() * 900) + 100;
       const title = template.replace("%d", num);
       const yes = Math.floor(Math.random() * 80) + 10;
+      const closeAt = Date.now() + (Math.floor(Math.random() * 300) + 30) * DAY;
       
-      db.markets.push({
-        id: id++,
-        title: "Will " + title + " by 2025?",
-        cat: c.id,
-        catName: c.name,
-        icon: c.icon,
-        color: c.color,
-        yes: yes,
-        no: 100 - yes,
-        vol: Math.floor(Math.random() * 5000000) + 100000,
-        users: Math.floor(Math.random() * 10000) + 100,
-        days: Math.floor(Math.random() * 300) + 30,
-        history: Array(30).fill(0).map(() => Math.floor(Math.random() * 60) + 20),
-        lastUpdate: Date.now()
+      const market = createMarket({
+        title: "Will " + title + " by " + new Date(closeAt).getFullYear() + "?",
+        category: c.id,
+        probability: yes,
+        openAt: Date.now() - 30 * DAY,
+        closeAt
       });
-      
-      db.orderBook.set(id - 1, { yes: [], no: [] });
+      market.vol = Math.floor(Math.random() * 5000000) + 100000;
+      market.users = Math.floor(Math.random() * 10000) + 100;
+      backfillHistory(market, 30);
     }
   });
+  
+  CATEGORICAL_SEEDS.forEach(({ title, category, outcomes }) => {
+    const market = createMarket({
+      title,
+      category,
+      outcomes: outcomeList(outcomes),
+      closeAt: Date.now() + (Math.floor(Math.random() * 300) + 30) * DAY
+    });
+    market.vol = Math.floor(Math.random() * 5000000) + 100000;
+    market.users = Math.floor(Math.random() * 10000) + 100;
+  });
+}
+
+// A random walk of hourly prices that ends at the market's current price
+function backfillHistory(market, days) {
+  const hours = days * 24;
+  const walk = [market.yes];
+  for (let i = 1; i < hours; i++) walk.push(Math.max(2, Math.min(98, walk[i - 1] + (Math.random() - 0.5) * 4)));
+  
+  const series = { '1m': [], '1h': [], '1d': [] };
+  db.series.set(market.id, series);
+  const now = Date.now();
+  walk.reverse().forEach((price, i) => {
+    recordPoint(market.id, Math.round(price * 100) / 100, Math.random() * market.vol / hours, now - (hours - i) * 3600000);
+  });
+  recordPoint(market.id, market.yes, 0, now);
 }
 
 // ============ AUTH HELPERS ============
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password + JWT_SECRET).digest('hex');
+// Passwords are scrypt hashes with a per-user salt, stored as
+// scrypt$N$r$p$salt$hash. Access tokens are short-lived HMAC-signed
+// payloads tied to a session in db.sessions; the session also holds the hash
+// of its current refresh token, which is rotated on every use. Presenting an
+// already-rotated refresh token revokes the whole session.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Emails and usernames (lowercased) of signups still hashing their password,
+// so a parallel signup for the same account can't pass the duplicate check
+const pendingSignups = new Set();
+const DUMMY_HASH = 'scrypt$16384$8$1$' + crypto.randomBytes(16).toString('base64') + '$' + Buffer.alloc(64).toString('base64');
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, 64, { N, r, p, maxmem: 64 * 1024 * 1024 });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p, maxmem: 64 * 1024 * 1024 });
+  return safeEqual(actual, expected);
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64url');
 }
 
-function generateToken(oderId) {
-  const payload = { oderId, exp: Date.now() + 7 * 24 * 60 * 60 * 1000 };
-  const data = Buffer.from(JSON.stringify(payload)).toString('base64');
-  const sig = crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64');
-  return data + '.' + sig;
+function generateToken(session) {
+  const payload = { sub: session.userId, sid: session.id, exp: Date.now() + ACCESS_TOKEN_TTL };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return data + '.' + sign(data);
 }
 
+// Returns the live session an access token belongs to, or null
 function verifyToken(token) {
-  if (!token) return null;
+  if (!token || typeof token !== 'string') return null;
   const [data, sig] = token.split('.');
-  const expectedSig = crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64');
-  if (sig !== expectedSig) return null;
-  const payload = JSON.parse(Buffer.from(data, 'base64').toString());
-  if (payload.exp < Date.now()) return null;
-  return payload.oderId;
+  if (!data || !sig || !safeEqual(Buffer.from(sig), Buffer.from(sign(data)))) return null;
+  
+  let payload;
+  try { payload = JSON.parse(Buffer.from(data, 'base64url').toString()); } catch { return null; }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  
+  const session = db.sessions.get(payload.sid);
+  if (!session || session.revokedAt || session.expiresAt < Date.now() || session.userId !== payload.sub) return null;
+  return session;
+}
+
+function hashRefresh(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createSession(user, req) {
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    refreshHash: null,
+    createdAt: Date.now(),
+    expiresAt: 0,
+    revokedAt: null,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 200)
+  };
+  db.sessions.set(session.id, session);
+  return issueTokens(session);
+}
+
+function issueTokens(session) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  session.refreshHash = hashRefresh(secret);
+  session.expiresAt = Date.now() + REFRESH_TOKEN_TTL;
+  session.lastUsedAt = Date.now();
+  touch('sessions', session.id);
+  return { token: generateToken(session), refreshToken: session.id + '.' + secret, expiresIn: ACCESS_TOKEN_TTL / 1000 };
+}
+
+function revokeSession(session) {
+  session.revokedAt = Date.now();
+  touch('sessions', session.id);
+  stream.clients.forEach(c => {
+    if (c.session === session) c.res.end();
+  });
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  db.sessions.forEach((s, id) => {
+    if (s.expiresAt < now || (s.revokedAt && s.revokedAt < now - DAY)) {
+      db.sessions.delete(id);
+      touch('sessions', id);
+    }
+  });
+  commit('prune');
 }
 
+setInterval(pruneSessions, 60 * 60 * 1000);
+
 function getUser(req) {
+  if (req.headers['x-api-key']) return keyUser(req);
   const auth = req.headers.authorization;
   if (!auth || !auth.startsWith('Bearer ')) return null;
-  const oderId = verifyToken(auth.slice(7));
-  return oderId ? db.users.get(oderId) : null;
+  const session = verifyToken(auth.slice(7));
+  if (!session) return null;
+  req.session = session;
+  return db.users.get(session.userId) || null;
 }
 
-// ============ PRICE ENGINE ============
-function updatePrices() {
+// ============ API KEYS ============
+// Bots authenticate with a key instead of a session. Each request carries
+// X-API-Key, X-API-Timestamp (ms) and X-API-Signature, the hex
+// HMAC-SHA256 of timestamp + method + path with query + raw body, keyed by
+// the key's secret. Timestamps outside the window are rejected and a
+// signature is accepted only once, so captured requests can't be replayed.
+// A key's scopes decide which routes it reaches: `read` for any GET, `trade`
+// and `withdraw` for the routes below; nothing else is open to keys.
+const KEY_SCOPES = ['read', 'trade', 'withdraw'];
+const SCOPED_ROUTES = {
+  'POST /api/trade': 'trade',
+  'POST /api/sell': 'trade',
+  'POST /api/orders': 'trade',
+  'DELETE /api/orders/:id': 'trade',
+  'POST /api/triggers': 'trade',
+  'DELETE /api/triggers/:id': 'trade',
+  'POST /api/wallet/withdraw': 'withdraw'
+};
+const SIGNATURE_WINDOW = 30 * 1000;
+const DEFAULT_KEY_RATE = 120;
+const MAX_KEY_RATE = 600;
+const MAX_KEYS = 10;
+const KEY_LOG = 1000;
+const seenSignatures = new Map();
+const keyWindows = new Map();
+
+// Keeps the newest KEY_LOG entries per key. The log is journaled as appends
+// only, so the trimmed list reaches disk with the next snapshot
+function trimKeyLog() {
+  const counts = new Map();
+  const kept = [];
+  for (let i = db.keyLog.length - 1; i >= 0; i--) {
+    const entry = db.keyLog[i];
+    const n = counts.get(entry.keyId) || 0;
+    if (n >= KEY_LOG) continue;
+    counts.set(entry.keyId, n + 1);
+    kept.push(entry);
+  }
+  if (kept.length < db.keyLog.length) db.keyLog = kept.reverse();
+}
+
+function keyScope(req) {
+  return SCOPED_ROUTES[req.routeKey] || (req.method === 'GET' ? 'read' : null);
+}
+
+// Fixed one-minute window per key
+function keyRateLimited(key, now) {
+  let w = keyWindows.get(key.id);
+  if (!w || now - w.start >= 60000) keyWindows.set(key.id, w = { start: now, count: 0 });
+  return ++w.count > key.rateLimit ? Math.ceil((w.start + 60000 - now) / 1000) : 0;
+}
+
+function verifyKeyRequest(req) {
+  const now = Date.now();
+  const keyId = req.headers['x-api-key'];
+  const key = [...db.apiKeys.values()].find(k => k.keyId === keyId);
+  if (!key || key.revokedAt) return { error: 'Invalid API key', status: 401 };
+  const result = { key };
+  
+  const timestamp = req.headers['x-api-timestamp'] || '';
+  const signature = req.headers['x-api-signature'] || '';
+  const url = new URL(req.url, 'http://localhost');
+  if (!(Math.abs(now - Number(timestamp)) <= SIGNATURE_WINDOW)) return { ...result, error: 'Request timestamp is outside the allowed window', status: 401 };
+  const expected = crypto.createHmac('sha256', key.secret)
+    .update(timestamp + req.method + url.pathname + url.search + (req.rawBody || '')).digest('hex');
+  if (!safeEqual(Buffer.from(signature), Buffer.from(expected))) return { ...result, error: 'Invalid signature', status: 401 };
+  if (seenSignatures.has(signature)) return { ...result, error: 'Request has already been used', status: 401 };
+  seenSignatures.set(signature, Number(timestamp) + SIGNATURE_WINDOW);
+  
+  const scope = keyScope(req);
+  if (!scope) return { ...result, error: 'API keys cannot access this endpoint', status: 403 };
+  if (!key.scopes.includes(scope)) return { ...result, error: 'API key lacks the ' + scope + ' scope', status: 403 };
+  const retryAfter = keyRateLimited(key, now);
+  if (retryAfter) return { ...result, error: 'Rate limit exceeded; retry in ' + retryAfter + 's', status: 429 };
+  
+  const user = db.users.get(key.userId);
+  return user ? { ...result, user } : { ...result, error: 'Invalid API key', status: 401 };
+}
+
+// Verifies once per request and logs the attempt, successful or not. A
+// rejection is left on req.authError for the router to report.
+function keyUser(req) {
+  if (req.keyAuth) return req.keyAuth.user || null;
+  const auth = req.keyAuth = verifyKeyRequest(req);
+  if (auth.error) req.authError = { error: auth.error, status: auth.status };
+  if (auth.key) {
+    auth.key.lastUsedAt = Date.now();
+    touch('apiKeys', auth.key.id, ['lastUsedAt']);
+    const entry = {
+      keyId: auth.key.id, userId: auth.key.userId, method: req.method, path: new URL(req.url, 'http://localhost').pathname,
+      ip: clientIp(req), error: auth.error || null, timestamp: Date.now()
+    };
+    db.keyLog.push(entry);
+    appendLog('keyLog', entry);
+  }
+  return auth.user || null;
+}
+
+function apiKeyView(key) {
+  return {
+    id: key.id, keyId: key.keyId, name: key.name, scopes: key.scopes, rateLimit: key.rateLimit,
+    createdAt: key.createdAt, lastUsedAt: key.lastUsedAt, revokedAt: key.revokedAt
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  seenSignatures.forEach((expires, sig) => { if (expires < now) seenSignatures.delete(sig); });
+}, 60000);
+
+function userView(user) {
+  return {
+    id: user.id, username: user.username, email: user.email, balance: user.balance,
+    wins: user.wins, losses: user.losses, role: user.role, isAdmin: isAdmin(user)
+  };
+}
+
+function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+// Accounts listed in ADMIN_EMAILS are admins; everyone else starts as a user
+function bootstrapRoles() {
+  db.users.forEach(u => {
+    const role = ADMIN_EMAILS.includes(u.email.toLowerCase()) ? 'admin' : u.role || 'user';
+    if (u.role !== role) {
+      u.role = role;
+      touch('users', u.id);
+    }
+  });
+}
+
+// ============ LEDGER ============
+// Every change to a cash balance is posted here as a signed entry; the ledger
+// is the record of truth and user.balance is its running total.
+const LEDGER_TYPES = ['signup_bonus', 'deposit', 'withdrawal', 'trade', 'sale', 'settlement', 'fee', 'order_hold', 'order_release', 'adjustment', 'market_result'];
+const FUNDING_TYPES = ['signup_bonus', 'deposit', 'withdrawal', 'adjustment'];
+
+const cents = n => Math.round(n * 100) / 100;
+
+// `user` may also be the house treasury, which keeps its own running balance
+function postLedger(user, type, amount, ref = null) {
+  const entry = {
+    id: nextId('ledger'),
+    userId: user.id,
+    type,
+    amount: cents(amount),
+    balance: cents(user.balance + amount),
+    ref,
+    timestamp: Date.now()
+  };
+  user.balance = entry.balance;
+  db.ledger.push(entry);
+  appendLog('ledger', entry);
+  if (user === db.treasury) touch('treasury', 'balance');
+  else touch('users', user.id);
+  return entry;
+}
+
+function ledgerBalance(userId) {
+  return cents(db.ledger.reduce((a, e) => e.userId === userId ? a + e.amount : a, 0));
+}
+
+// Balances that don't match their ledger (after a bad restore) get a logged adjustment so the two agree again
+function reconcileLedger() {
+  const totals = new Map();
+  db.ledger.forEach(e => totals.set(e.userId, (totals.get(e.userId) || 0) + e.amount));
+  db.users.forEach(u => {
+    const drift = cents(u.balance - cents(totals.get(u.id) || 0));
+    if (!drift) return;
+    console.warn('⚠️  Ledger drift for ' + u.username + ': ' + drift);
+    u.balance = cents(u.balance - drift);
+    postLedger(u, 'adjustment', drift, 'reconcile');
+  });
+}
+
+// ============ FEES & TREASURY ============
+// Trades pay a fee in basis points of their notional: the taker rate on buys
+// and sells against the market maker and on orders that cross the book, the
+// maker rate on resting orders when they fill. Rates are set per category by
+// admins and otherwise default to TAKER_FEE_BPS / MAKER_FEE_BPS. Fees go to
+// the house treasury, and so does whatever a resolved market's collateral
+// has left after paying out, which is the market maker's result.
+function feeSchedule(category) {
+  return { taker: TAKER_FEE_BPS, maker: MAKER_FEE_BPS, ...db.fees.get(category) };
+}
+
+function feeRates(market) {
+  const { taker, maker } = feeSchedule(market.cat);
+  return { taker: taker / 10000, maker: maker / 10000 };
+}
+
+function collectFee(user, fee, ref) {
+  if (fee <= 0) return;
+  postLedger(user, 'fee', -fee, ref);
+  postLedger(db.treasury, 'fee', fee, ref);
+}
+
+// Buys spend at most `amount`, fee included
+function buyQuote(market, side, amount) {
+  const rate = feeRates(market).taker;
+  const quote = quoteBuy(market, side, amount / (1 + rate));
+  const fee = Math.min(cents(quote.amount * rate), cents(amount - quote.amount));
+  return { ...quote, fee, feeRate: rate * 10000, total: cents(quote.amount + fee) };
+}
+
+// Cash paid into a market and not yet paid back out: buys less sells, less
+// settlement payouts and the result swept to the treasury at resolution
+function marketCollateral(ids) {
+  const net = new Map();
+  const add = (id, amount) => net.has(id) && net.set(id, net.get(id) + cents(amount));
+  ids.forEach(id => net.set(id, 0));
+  db.trades.forEach(t => add(t.marketId, t.type === 'sell' ? -t.amount : t.amount));
+  db.settlements.forEach(s => add(s.marketId, -s.payout));
+  db.ledger.forEach(e => e.type === 'market_result' && add(parseInt(e.ref.slice(7)), -e.amount));
+  return net;
+}
+
+function sweepMarket(market) {
+  const result = cents(marketCollateral([market.id]).get(market.id));
+  if (result) postLedger(db.treasury, 'market_result', result, 'market:' + market.id);
+  return result;
+}
+
+// Every dollar that entered the platform (signup bonuses, deposits less
+// withdrawals, adjustments) must be in a user balance, the treasury, an
+// order hold or a market's collateral. Also checks each balance against
+// its own ledger entries.
+function reconcileBooks() {
+  const funding = {};
+  FUNDING_TYPES.forEach(type => funding[type] = 0);
+  db.ledger.forEach(e => { if (e.type in funding) funding[e.type] += e.amount; });
+  Object.keys(funding).forEach(type => funding[type] = cents(funding[type]));
+  const totalDeposits = cents(Object.values(funding).reduce((a, v) => a + v, 0));
+  
+  const ledgerTotals = new Map();
+  db.ledger.forEach(e => ledgerTotals.set(e.userId, (ledgerTotals.get(e.userId) || 0) + e.amount));
+  const accounts = [];
+  [...db.users.values(), db.treasury].forEach(u => {
+    const ledger = cents(ledgerTotals.get(u.id) || 0);
+    if (cents(u.balance - ledger)) accounts.push({ account: u.username || u.id, balance: u.balance, ledger, drift: cents(u.balance - ledger) });
+  });
+  
+  const balances = cents([...db.users.values()].reduce((a, u) => a + u.balance, 0));
+  const orders = cents([...db.orders.values()].reduce((a, o) => o.status === 'open' ? a + o.held : a, 0));
+  let markets = 0;
+  marketCollateral(db.markets.map(m => m.id)).forEach(v => markets += v);
+  markets = cents(markets);
+  const drift = cents(balances + db.treasury.balance + orders + markets - totalDeposits);
+  
+  return {
+    ok: !drift && !accounts.length,
+    totalDeposits,
+    funding,
+    balances,
+    treasury: db.treasury.balance,
+    liabilities: { orders, markets },
+    drift,
+    accounts,
+    checkedAt: Date.now()
+  };
+}
+
+// ============ MARKET MAKER (LMSR) ============
+// Each market is priced by a logarithmic market scoring rule over its
+// outstanding shares q. The liquidity parameter b sets how far a given
+// amount of money moves the price; the maker can lose at most b * ln(N)
+// on a market with N outcomes.
+function logSumExp(values) {
+  const max = Math.max(...values);
+  return max + Math.log(values.reduce((a, v) => a + Math.exp(v - max), 0));
+}
+
+function lmsrCost(q, b) {
+  return b * logSumExp(Object.values(q).map(v => v / b));
+}
+
+function lmsrPrice(q, b, side) {
+  return Math.exp(q[side] / b - logSumExp(Object.values(q).map(v => v / b)));
+}
+
+// Shares per outcome that make the curve quote the given percentages
+function initialShares(ids, probabilities, b) {
+  const q = {};
+  ids.forEach((id, i) => q[id] = b * Math.log(probabilities[i] / 100));
+  return q;
+}
+
+// Whole-cent display prices, at least 1¢ each and summing to exactly 100:
+// floor everything, then hand the leftover cents to the largest remainders
+function setPrices(market) {
+  const ids = market.outcomes.map(o => o.id);
+  const exact = ids.map(id => lmsrPrice(market.q, market.liquidity, id) * 100);
+  const whole = exact.map(p => Math.max(1, Math.floor(p)));
+  let left = 100 - whole.reduce((a, p) => a + p, 0);
+  const byRemainder = ids.map((id, i) => i).sort((a, b) => (exact[b] - whole[b]) - (exact[a] - whole[a]));
+  for (let k = 0; left > 0; k = (k + 1) % ids.length, left--) whole[byRemainder[k]]++;
+  for (; left < 0; left++) whole[whole.indexOf(Math.max(...whole))]--;
+  
+  market.prices = {};
+  ids.forEach((id, i) => market.prices[id] = whole[i]);
+  if (market.type === 'binary') {
+    market.yes = market.prices.YES;
+    market.no = market.prices.NO;
+  }
+}
+
+function syncPrices(market) {
+  setPrices(market);
+  market.lastUpdate = Date.now();
+  touch('markets', market.id, ['q', 'prices', 'yes', 'no', 'lastUpdate']);
+  recordPrices(market);
+  stream.dirty.add(market.id);
+  checkAlerts(market);
+  checkTriggers(market);
+}
+
+// Whole shares of `side` that `amount` dollars buys, and their exact cost
+function quoteBuy(market, side, amount) {
+  const b = market.liquidity;
+  const before = lmsrCost(market.q, b);
+  const others = Object.keys(market.q).filter(k => k !== side).map(k => market.q[k] / b);
+  const target = (before + amount) / b;
+  const exact = b * (target + Math.log1p(-Math.exp(logSumExp(others) - target))) - market.q[side];
+  const shares = Math.max(0, Math.floor(exact + 1e-9));
+  const q = { ...market.q, [side]: market.q[side] + shares };
+  const cost = Math.min(amount, Math.ceil((lmsrCost(q, b) - before) * 100) / 100);
+  return priceQuote(market, side, shares, cost, q);
+}
+
+function quoteSell(market, side, shares) {
+  const b = market.liquidity;
+  const q = { ...market.q, [side]: market.q[side] - shares };
+  const payout = Math.floor((lmsrCost(market.q, b) - lmsrCost(q, b)) * 100) / 100;
+  return priceQuote(market, side, shares, payout, q);
+}
+
+function priceQuote(market, side, shares, amount, q) {
+  const price = lmsrPrice(market.q, market.liquidity, side) * 100;
+  const avgPrice = shares > 0 ? amount / shares * 100 : price;
+  return {
+    shares,
+    amount,
+    price,
+    avgPrice,
+    newPrice: lmsrPrice(q, market.liquidity, side) * 100,
+    slippage: Math.abs(avgPrice - price) / price * 100
+  };
+}
+
+function applyFill(market, side, shares) {
+  market.q[side] += shares;
+  syncPrices(market);
+}
+
+// Background noise traders keep demo markets moving; every fill goes through
+// the cost curve exactly like a user's order does
+function simulateFlow() {
   db.markets.forEach(m => {
-    const change = (Math.random() - 0.5) * 3;
-    m.yes = Math.max(1, Math.min(99, Math.round(m.yes + change)));
-    m.no = 100 - m.yes;
-    m.history.shift();
-    m.history.push(m.yes);
-    m.lastUpdate = Date.now();
+    if (m.status !== 'open' || Math.random() >= 0.05) return;
+    const outcome = m.outcomes[Math.floor(Math.random() * m.outcomes.length)].id;
+    applyFill(m, outcome, (Math.random() - 0.4) * m.liquidity * 0.05);
   });
 }
 
+function updatePrices() {
+  if (SEED_DEMO) simulateFlow();
+  commit('tick');
+}
+
 setInterval(updatePrices, 500);
 
-// ============ API ROUTES ============
-const routes = {
-  'POST /api/register': (req, body) => {
-    const { username, email, password } = body;
-    if (!username || !email || !password) return { error: 'Missing fields', status: 400 };
-    if (username.length < 3) return { error: 'Username too short', status: 400 };
-    if (password.length < 6) return { error: 'Password too short', status: 400 };
-    
-    const existing = [...db.users.values()].find(u => u.email === email || u.username === username);
-    if (existing) return { error: 'User already exists', status: 400 };
-    
-    const id = crypto.randomUUID();
-    const user = {
-      id,
-      username,
-      email,
-      password: hashPassword(password),
-      balance: 10000,
-      created: Date.now(),
-      wins: 0,
-      losses: 0
-    };
-    db.users.set(id, user);
-    db.positions.set(id, []);
-    
-    const token = generateToken(id);
-    return { token, user: { id, username, email, balance: user.balance } };
-  },
+// ============ PRICE HISTORY ============
+// OHLCV candles per market at three resolutions, all fed from the same price
+// points and trimmed to a fixed time window so memory stays bounded no
+// matter how long the server runs. Candles are [t, open, high, low, close, volume].
+// A market's first outcome (YES for binary markets) is charted under the
+// market id; categorical markets keep one more series per other outcome.
+const RESOLUTIONS = {
+  '1m': { ms: 60 * 1000, keep: 6 * 60 * 60 * 1000 },
+  '1h': { ms: 60 * 60 * 1000, keep: 14 * DAY },
+  '1d': { ms: DAY, keep: 730 * DAY }
+};
+const MAX_CANDLES = 500;
+
+function markPrice(market, outcome = market.outcomes[0].id) {
+  if (market.outcome) return market.prices[outcome];
+  return Math.round(lmsrPrice(market.q, market.liquidity, outcome) * 10000) / 100;
+}
+
+function seriesKey(market, outcome) {
+  return outcome === market.outcomes[0].id ? market.id : market.id + ':' + outcome;
+}
+
+function recordPrices(market, volume = 0) {
+  const charted = market.type === 'binary' ? market.outcomes.slice(0, 1) : market.outcomes;
+  charted.forEach(o => recordPoint(seriesKey(market, o.id), markPrice(market, o.id), volume));
+}
+
+function recordPoint(marketId, price, volume = 0, t = Date.now()) {
+  let series = db.series.get(marketId);
+  if (!series) db.series.set(marketId, series = { '1m': [], '1h': [], '1d': [] });
   
-  'POST /api/login': (req, body) => {
-    const { email, password } = body;
-    const user = [...db.users.values()].find(u => u.email === email);
-    if (!user || user.password !== hashPassword(password)) {
-      return { error: 'Invalid credentials', status: 401 };
+  Object.keys(RESOLUTIONS).forEach(res => {
+    const { ms, keep } = RESOLUTIONS[res];
+    const candles = series[res];
+    const bucket = t - t % ms;
+    const last = candles[candles.length - 1];
+    if (last && last[0] === bucket) {
+      last[2] = Math.max(last[2], price);
+      last[3] = Math.min(last[3], price);
+      last[4] = price;
+      last[5] += volume;
+    } else {
+      candles.push([bucket, price, price, price, price, volume]);
     }
-    const token = generateToken(user.id);
-    return { token, user: { id: user.id, username: user.username, email, balance: user.balance } };
-  },
+    while (candles[0][0] < t - keep) candles.shift();
+  });
+}
+
+// Merges runs of adjacent candles so a response never exceeds MAX_CANDLES
+function downsample(candles) {
+  const step = Math.ceil(candles.length / MAX_CANDLES);
+  if (step <= 1) return candles;
+  const out = [];
+  for (let i = 0; i < candles.length; i += step) {
+    const run = candles.slice(i, i + step);
+    out.push([
+      run[0][0], run[0][1],
+      Math.max(...run.map(c => c[2])), Math.min(...run.map(c => c[3])),
+      run[run.length - 1][4], run.reduce((a, c) => a + c[5], 0)
+    ]);
+  }
+  return out;
+}
+
+// ============ POSITIONS ============
+function addPosition(user, market, side, shares, price) {
+  const positions = db.positions.get(user.id) || [];
+  const existing = positions.find(p => p.marketId === market.id && p.side === side);
   
-  'GET /api/me': (req) => {
-    const user = getUser(req);
-    if (!user) return { error: 'Unauthorized', status: 401 };
-    const positions = db.positions.get(user.id) || [];
-    return { 
-      user: { id: user.id, username: user.username, email: user.email, balance: user.balance, wins: user.wins, losses: user.losses },
-      positions 
-    };
-  },
+  touch('positions', user.id);
   
-  'GET /api/markets': (req) => {
-    const url = new URL(req.url, 'http://localhost');
-    const cat = url.searchParams.get('cat');
-    const search = url.searchParams.get('q');
-    const searchLower = search ? search.toLowerCase() : '';
-    const limit = parseInt(url.searchParams.get('limit')) || 50;
-    const offset = parseInt(url.searchParams.get('offset')) || 0;
+  if (existing) {
+    const totalShares = existing.shares + shares;
+    existing.avg = ((existing.avg * existing.shares) + (price * shares)) / totalShares;
+    existing.shares = totalShares;
+    return existing;
+  }
+  
+  const pos = {
+    id: crypto.randomUUID(),
+    marketId: market.id,
+    title: market.title.substring(0, 40),
+    side,
+    label: market.outcomes.find(o => o.id === side).label,
+    shares,
+    avg: price,
+    realized: 0,
+    openedAt: Date.now()
+  };
+  positions.push(pos);
+  db.positions.set(user.id, positions);
+  return pos;
+}
+
+function recordTrade(user, market, side, shares, price, amount, extra = {}) {
+  const trade = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    marketId: market.id,
+    type: 'buy',
+    side,
+    shares,
+    price,
+    amount,
+    orderId: null,
+    ...extra,
+    timestamp: Date.now()
+  };
+  db.trades.push(trade);
+  appendLog('trades', trade);
+  recordPrices(market, amount);
+  publish('trade', { marketId: market.id, type: trade.type, side, shares, price, amount, timestamp: trade.timestamp }, { marketId: market.id });
+  emitWebhook('trade.executed', tradeRow(trade), user.id);
+  return trade;
+}
+
+// Validates a (partial) exit and prices it along the curve
+function quotePositionSale(user, positionId, shares) {
+  const pos = (db.positions.get(user.id) || []).find(p => p.id === positionId);
+  if (!pos) return { error: 'Position not found', status: 404 };
+  const market = db.markets[pos.marketId];
+  const closed = tradingError(market);
+  if (closed) return { error: closed, status: 400 };
+  
+  const qty = shares === undefined || shares === null ? pos.shares : shares;
+  if (!Number.isInteger(qty) || qty < 1 || qty > pos.shares) {
+    return { error: 'Shares must be a whole number between 1 and ' + pos.shares, status: 400 };
+  }
+  
+  const quote = quoteSell(market, pos.side, qty);
+  const rate = feeRates(market).taker;
+  const fee = cents(quote.amount * rate);
+  const proceeds = cents(quote.amount - fee);
+  return { pos, market, quote: { ...quote, fee, feeRate: rate * 10000, proceeds, positionId: pos.id, remaining: pos.shares - qty, pnl: proceeds - qty * pos.avg / 100 } };
+}
+
+// Sells along the curve; shared by POST /api/sell and position triggers
+function executeSale(user, positionId, qty, reason = 'sold') {
+  const result = quotePositionSale(user, positionId, qty);
+  if (result.error) return result;
+  const { pos, market, quote } = result;
+  const { shares, amount: payout, fee, proceeds, avgPrice, pnl } = quote;
+  
+  applyFill(market, pos.side, -shares);
+  pos.shares -= shares;
+  pos.realized = cents((pos.realized || 0) + pnl);
+  
+  const positions = db.positions.get(user.id);
+  const trade = recordTrade(user, market, pos.side, shares, avgPrice, payout, { type: 'sell', pnl, fee });
+  if (pos.shares === 0) {
+    positions.splice(positions.indexOf(pos), 1);
+    cancelTriggers(t => t.positionId === pos.id);
+    emitWebhook('position.closed', { ...positionEvent(pos, market), reason, realized: pos.realized }, user.id);
+  }
+  postLedger(user, 'sale', payout, 'trade:' + trade.id);
+  collectFee(user, fee, 'trade:' + trade.id);
+  touch('positions', user.id);
+  publishAccount(user.id);
+  
+  return { success: true, balance: user.balance, payout: proceeds, fee, shares, remaining: pos.shares, avgPrice, pnl };
+}
+
+// ============ ORDER BOOK ============
+// Resting limit orders are bids for YES or NO shares, kept per market in
+// price-time priority. A YES bid at p crosses a NO bid at 100 - p or better:
+// together they pay $1, which mints one YES and one NO share. The full cost
+// of a bid is taken out of the balance when it is placed, and whatever is
+// unfilled goes back on cancel or when the market resolves. Categorical
+// markets trade against the market maker only.
+const otherSide = side => side === 'YES' ? 'NO' : 'YES';
+
+function bookSide(marketId, side) {
+  return db.orderBook.get(marketId)[side.toLowerCase()];
+}
+
+function orderView(o) {
+  const remaining = o.quantity - o.filled;
+  return {
+    id: o.id, marketId: o.marketId, side: o.side, price: o.price, quantity: o.quantity,
+    filled: o.filled, remaining, reserved: o.held, status: o.status, createdAt: o.createdAt
+  };
+}
+
+// Takes `qty` shares at `price` out of an order's hold: the cost goes into
+// the market, the rest of what was held for them (price improvement and any
+// unused fee reserve) is released, and the fee is charged at the rate the
+// order was placed under. Call before `filled` moves.
+function fillFromHold(order, user, qty, price, role) {
+  const cost = qty * price / 100;
+  const rates = order.fees || { taker: 0, maker: 0 };
+  const held = order.filled + qty === order.quantity ? order.held
+    : Math.min(order.held, cents(qty * order.price / 100 * (1 + Math.max(rates.taker, rates.maker))));
+  order.held = cents(order.held - held);
+  if (cents(held - cost)) postLedger(user, 'order_release', held - cost, 'order:' + order.id);
+  const fee = cents(cost * rates[role]);
+  collectFee(user, fee, 'order:' + order.id);
+  return fee;
+}
+
+function matchOrder(order, market) {
+  const taker = db.users.get(order.userId);
+  const opposite = bookSide(market.id, otherSide(order.side));
+  const fills = [];
+  
+  for (let i = 0; i < opposite.length && order.filled < order.quantity;) {
+    const maker = opposite[i];
+    if (maker.price + order.price < 100) break;
+    if (maker.userId === order.userId) { i++; continue; }
     
-    let markets = db.markets;
-    if (cat && cat !== 'all') markets = markets.filter(m => m.cat === cat);
-    if (searchLower) markets = markets.filter(m => m.title.toLowerCase().includes(searchLower));
+    const qty = Math.min(order.quantity - order.filled, maker.quantity - maker.filled);
+    const takerPrice = 100 - maker.price;
     
-    return {
-      total: markets.length,
-      markets: markets.slice(offset, offset + limit).map(m => ({
-        id: m.id, title: m.title, cat: m.cat, catName: m.catName, icon: m.icon, color: m.color,
-        yes: m.yes, no: m.no, vol: m.vol, users: m.users, days: m.days
-      }))
-    };
-  },
+    // The taker reserved at its limit and fills at the resting order's complement
+    const makerUser = db.users.get(maker.userId);
+    const takerFee = fillFromHold(order, taker, qty, takerPrice, 'taker');
+    const makerFee = fillFromHold(maker, makerUser, qty, maker.price, 'maker');
+    order.filled += qty;
+    maker.filled += qty;
+    touch('orders', order.id);
+    touch('orders', maker.id);
+    touch('markets', market.id);
+    
+    addPosition(taker, market, order.side, qty, takerPrice);
+    addPosition(makerUser, market, maker.side, qty, maker.price);
+    recordTrade(taker, market, order.side, qty, takerPrice, qty * takerPrice / 100, { orderId: order.id, fee: takerFee });
+    recordTrade(makerUser, market, maker.side, qty, maker.price, qty * maker.price / 100, { orderId: maker.id, fee: makerFee });
+    // Volume is in dollars: both sides' cost, which for a minted pair is $1 a share
+    market.vol += qty * takerPrice / 100 + qty * maker.price / 100;
+    market.users++;
+    fills.push({ price: takerPrice, shares: qty, fee: takerFee, makerOrderId: maker.id });
+    
+    if (maker.filled === maker.quantity) {
+      maker.status = 'filled';
+      opposite.splice(i, 1);
+    }
+    publishAccount(maker.userId);
+  }
+  if (fills.length) publishAccount(taker.id);
   
-  'GET /api/markets/:id': (req) => {
+  touch('orders', order.id);
+  if (order.filled === order.quantity) {
+    order.status = 'filled';
+  } else {
+    const book = bookSide(market.id, order.side);
+    const at = book.findIndex(o => o.price < order.price);
+    book.splice(at === -1 ? book.length : at, 0, order);
+  }
+  
+  return fills;
+}
+
+function cancelOrder(order) {
+  const book = bookSide(order.marketId, order.side);
+  const idx = book.indexOf(order);
+  if (idx !== -1) book.splice(idx, 1);
+  
+  const refund = order.held;
+  postLedger(db.users.get(order.userId), 'order_release', refund, 'order:' + order.id);
+  order.held = 0;
+  order.status = 'cancelled';
+  touch('orders', order.id);
+  return refund;
+}
+
+function depth(orders) {
+  const levels = new Map();
+  orders.forEach(o => levels.set(o.price, (levels.get(o.price) || 0) + o.quantity - o.filled));
+  return [...levels].map(([price, quantity]) => ({ price, quantity }));
+}
+
+// Refunds every resting order on a market, returning the owners' ids
+function cancelMarketOrders(market) {
+  const affected = new Set();
+  ['YES', 'NO'].forEach(side => [...bookSide(market.id, side)].forEach(o => {
+    cancelOrder(o);
+    affected.add(o.userId);
+  }));
+  return affected;
+}
+
+// ============ SETTLEMENT ============
+// `resolvedBy` is the admin's user id, or 'oracle'
+function settleMarket(market, outcome, resolvedBy = null) {
+  const affected = cancelMarketOrders(market);
+  cancelTriggers(t => t.marketId === market.id);
+  market.outcome = outcome;
+  market.resolvedAt = Date.now();
+  market.resolvedBy = resolvedBy;
+  if (outcome !== 'INVALID') {
+    market.outcomes.forEach(o => market.prices[o.id] = o.id === outcome ? 100 : 0);
+    if (market.type === 'binary') {
+      market.yes = market.prices.YES;
+      market.no = market.prices.NO;
+    }
+  }
+  touch('markets', market.id);
+  updateStatus(market);
+  recordPrices(market);
+  stream.dirty.add(market.id);
+  
+  let settled = 0;
+  let paid = 0;
+  db.positions.forEach((positions, userId) => {
+    const user = db.users.get(userId);
+    for (let i = positions.length - 1; i >= 0; i--) {
+      const pos = positions[i];
+      if (pos.marketId !== market.id) continue;
+      
+      // Winning shares redeem at $1, INVALID refunds what was paid for them
+      let payout = 0;
+      if (outcome === 'INVALID') payout = pos.shares * (pos.avg / 100);
+      else if (pos.side === outcome) payout = pos.shares;
+      
+      if (outcome !== 'INVALID') {
+        if (pos.side === outcome) user.wins++;
+        else user.losses++;
+      }
+      
+      const settlement = {
+        id: crypto.randomUUID(),
+        userId,
+        marketId: market.id,
+        side: pos.side,
+        shares: pos.shares,
+        avg: pos.avg,
+        outcome,
+        payout,
+        timestamp: market.resolvedAt
+      };
+      db.settlements.push(settlement);
+      appendLog('settlements', settlement);
+      postLedger(user, 'settlement', payout, 'settlement:' + settlement.id);
+      
+      positions.splice(i, 1);
+      touch('positions', userId);
+      emitWebhook('position.closed', { ...positionEvent(pos, market), reason: 'settlement', payout: cents(payout) }, userId);
+      affected.add(userId);
+      settled++;
+      paid += payout;
+    }
+  });
+  affected.forEach(publishAccount);
+  const result = sweepMarket(market);
+  emitWebhook('market.resolved', { marketId: market.id, title: market.title, outcome, resolvedAt: market.resolvedAt, settled, paid: cents(paid) });
+  
+  return { settled, paid, result };
+}
+
+// ============ PORTFOLIO ============
+// Positions are marked at the curve's current price (the final price once a
+// market resolves). Realized PnL comes from sells and settlements; equity is
+// cash plus open-order reserves plus the marked value of every position.
+function reservedFunds(userId) {
+  let reserved = 0;
+  db.orders.forEach(o => {
+    if (o.userId === userId && o.status === 'open') reserved += o.held;
+  });
+  return reserved;
+}
+
+function positionMark(pos) {
+  const market = db.markets[pos.marketId];
+  const price = markPrice(market, pos.side);
+  const costBasis = pos.shares * pos.avg / 100;
+  const marketValue = pos.shares * price / 100;
+  return { market, price, costBasis, marketValue, unrealizedPnl: marketValue - costBasis };
+}
+
+function equityOf(user) {
+  return user.balance + reservedFunds(user.id) +
+    (db.positions.get(user.id) || []).reduce((a, p) => a + positionMark(p).marketValue, 0);
+}
+
+function realizedPnl(userId) {
+  let total = 0;
+  db.trades.forEach(t => { if (t.userId === userId && t.type === 'sell') total += t.pnl; });
+  db.settlements.forEach(s => { if (s.userId === userId) total += s.payout - s.shares * s.avg / 100; });
+  return total;
+}
+
+function portfolio(user) {
+  const triggers = [...db.triggers.values()].filter(t => t.userId === user.id && t.status === 'open');
+  const positions = (db.positions.get(user.id) || []).map(pos => {
+    const { market, price, costBasis, marketValue, unrealizedPnl } = positionMark(pos);
+    return {
+      id: pos.id, marketId: pos.marketId, title: pos.title, category: market.cat, status: market.status,
+      side: pos.side, label: pos.label || pos.side, shares: pos.shares, avg: pos.avg, price,
+      costBasis: cents(costBasis), marketValue: cents(marketValue), unrealizedPnl: cents(unrealizedPnl),
+      unrealizedPct: costBasis > 0 ? unrealizedPnl / costBasis * 100 : 0, realizedPnl: pos.realized || 0,
+      triggers: triggers.filter(t => t.positionId === pos.id).map(triggerView)
+    };
+  });
+  
+  const sum = key => cents(positions.reduce((a, p) => a + p[key], 0));
+  const positionsValue = sum('marketValue');
+  const exposure = CATEGORIES.map(c => {
+    const held = positions.filter(p => p.category === c.id);
+    return {
+      category: c.id, name: c.name, positions: held.length,
+      marketValue: cents(held.reduce((a, p) => a + p.marketValue, 0)),
+      costBasis: cents(held.reduce((a, p) => a + p.costBasis, 0))
+    };
+  }).filter(e => e.positions > 0).map(e => ({ ...e, share: positionsValue > 0 ? e.marketValue / positionsValue * 100 : 0 }));
+  
+  const reserved = cents(reservedFunds(user.id));
+  const realized = cents(realizedPnl(user.id));
+  const unrealized = sum('unrealizedPnl');
+  return {
+    balance: user.balance,
+    reserved,
+    positionsValue,
+    equity: cents(user.balance + reserved + positionsValue),
+    totals: { costBasis: sum('costBasis'), marketValue: positionsValue, unrealizedPnl: unrealized, realizedPnl: realized, totalPnl: cents(unrealized + realized) },
+    positions,
+    exposure
+  };
+}
+
+// One equity sample per user per EQUITY_INTERVAL, kept for EQUITY_RETENTION
+function sampleEquity(t = Date.now()) {
+  const bucket = t - t % EQUITY_INTERVAL;
+  db.users.forEach(user => {
+    let samples = db.equity.get(user.id);
+    if (!samples) db.equity.set(user.id, samples = []);
+    const value = cents(equityOf(user));
+    const last = samples[samples.length - 1];
+    if (last && last[0] === bucket) last[1] = value;
+    else samples.push([bucket, value]);
+    while (samples[0][0] < t - EQUITY_RETENTION) samples.shift();
+  });
+}
+
+setInterval(sampleEquity, Math.min(EQUITY_INTERVAL, 60 * 1000));
+
+// ============ LEADERBOARD ============
+// Profit over a period is the change in equity net of deposits, withdrawals
+// and bonuses, so funding an account doesn't count as performance; ROI
+// divides it by the money put into buys over the same period. Calibration is
+// the Brier score of positions held to resolution, reading the average entry
+// price as the forecast probability (0 is perfect, 0.25 is a coin flip).
+const PERIODS = { '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY, all: Infinity };
+const LEADERBOARD_METRICS = ['roi', 'profit', 'brier'];
+
+// Equity at the start of the period: the last sample before it, or zero
+// for accounts opened since
+function startingEquity(user, since) {
+  if (!Number.isFinite(since) || user.created >= since) return { t: since, equity: 0 };
+  const samples = db.equity.get(user.id) || [];
+  let i = samples.length - 1;
+  while (i >= 0 && samples[i][0] > since) i--;
+  const sample = samples[i] || samples[0];
+  return sample ? { t: sample[0], equity: sample[1] } : { t: Date.now(), equity: equityOf(user) };
+}
+
+function performance(period, users = [...db.users.values()]) {
+  const since = Date.now() - PERIODS[period];
+  const stats = new Map(users.map(user => [user.id, {
+    user, start: startingEquity(user, since), flows: 0, deployed: 0, trades: 0, wins: 0, losses: 0, brier: 0, forecasts: 0
+  }]));
+  
+  db.ledger.forEach(e => {
+    const s = stats.get(e.userId);
+    if (s && FUNDING_TYPES.includes(e.type) && e.timestamp > s.start.t) s.flows += e.amount;
+  });
+  db.trades.forEach(t => {
+    const s = stats.get(t.userId);
+    if (!s || t.timestamp < since) return;
+    s.trades++;
+    if (t.type === 'buy') s.deployed += t.amount;
+  });
+  db.settlements.forEach(r => {
+    const s = stats.get(r.userId);
+    if (!s || r.timestamp < since || r.outcome === 'INVALID') return;
+    const won = r.side === r.outcome;
+    if (won) s.wins++;
+    else s.losses++;
+    s.brier += (r.avg / 100 - (won ? 1 : 0)) ** 2;
+    s.forecasts++;
+  });
+  
+  return [...stats.values()].map(s => {
+    const profit = equityOf(s.user) - s.start.equity - s.flows;
+    return {
+      username: s.user.username,
+      profit: cents(profit),
+      deployed: cents(s.deployed),
+      roi: s.deployed > 0 ? cents(profit / s.deployed * 100) : 0,
+      brier: s.forecasts ? Math.round(s.brier / s.forecasts * 10000) / 10000 : null,
+      forecasts: s.forecasts,
+      trades: s.trades,
+      wins: s.wins,
+      losses: s.losses,
+      winRate: s.wins + s.losses > 0 ? Math.round(s.wins / (s.wins + s.losses) * 100) : 0
+    };
+  });
+}
+
+// ============ COMMENTS ============
+// Discussion threads hang off each market. Comments are soft-deleted so
+// replies keep their place; moderators hide rather than remove, and muted
+// users can read but not post. Reports flag a comment for the admin queue
+// until a moderator acts on it.
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENT_DEPTH = 5;
+
+function commentText(body) {
+  if (typeof body !== 'string' || !body.trim()) return { error: 'Comment cannot be empty' };
+  if (body.length > MAX_COMMENT_LENGTH) return { error: 'Comment must be under ' + MAX_COMMENT_LENGTH + ' characters' };
+  return { text: body.trim() };
+}
+
+// What the author currently holds in the market, largest position first
+function authorPosition(userId, marketId) {
+  return (db.positions.get(userId) || [])
+    .filter(p => p.marketId === marketId && p.shares > 0)
+    .sort((a, b) => b.shares - a.shares)
+    .map(p => ({ side: p.side, label: p.label, shares: p.shares }));
+}
+
+function commentView(c, viewer) {
+  const author = db.users.get(c.userId);
+  const admin = isAdmin(viewer);
+  const view = {
+    id: c.id, parentId: c.parentId, author: author ? author.username : null,
+    position: authorPosition(c.userId, c.marketId),
+    body: c.deleted || (c.hidden && !admin) ? null : c.body,
+    createdAt: c.createdAt, editedAt: c.editedAt, upvotes: c.upvotes.length,
+    upvoted: !!viewer && c.upvotes.includes(viewer.id), mine: !!viewer && c.userId === viewer.id,
+    deleted: c.deleted, hidden: c.hidden, replies: []
+  };
+  if (admin) Object.assign(view, { hiddenReason: c.hiddenReason, reports: c.reports.length, flagged: c.flagged });
+  return view;
+}
+
+// Top-level comments by score or age, replies oldest first under their
+// parent. Deleted comments are kept only while they still have replies.
+function commentThread(marketId, viewer, sort = 'top') {
+  const views = new Map();
+  const comments = [...db.comments.values()].filter(c => c.marketId === marketId).sort((a, b) => a.id - b.id);
+  comments.forEach(c => views.set(c.id, commentView(c, viewer)));
+  const roots = [];
+  comments.forEach(c => (c.parentId ? views.get(c.parentId).replies : roots).push(views.get(c.id)));
+  
+  const prune = list => list.filter(v => {
+    v.replies = prune(v.replies);
+    return !v.deleted || v.replies.length;
+  });
+  const order = sort === 'new' ? (a, b) => b.createdAt - a.createdAt : (a, b) => b.upvotes - a.upvotes || a.createdAt - b.createdAt;
+  return prune(roots).sort(order);
+}
+
+function commentAction(req, { own = false } = {}) {
+  const user = getUser(req);
+  if (!user) return { error: 'Unauthorized', status: 401 };
+  const comment = db.comments.get(parseInt(req.params.id));
+  if (!comment || (comment.deleted && !isAdmin(user))) return { error: 'Comment not found', status: 404 };
+  if (own && comment.userId !== user.id) return { error: 'Forbidden', status: 403 };
+  return { user, comment };
+}
+
+function publishComment(comment) {
+  publish('comment', { marketId: comment.marketId, id: comment.id }, { marketId: comment.marketId });
+}
+
+// ============ WATCHLISTS & ALERTS ============
+// Alerts are checked whenever a market's prices change. A `cross` alert
+// fires once when the outcome's price reaches its threshold from the side
+// it started on; a `move` alert fires whenever the price has moved by
+// `points` within its window, counting only from when it was created or
+// last fired. Notifications land in a capped per-user inbox and are pushed
+// over SSE.
+const MAX_WATCHLIST = 200;
+const MAX_ALERTS = 50;
+const MAX_NOTIFICATIONS = 100;
+const ALERT_KINDS = ['cross', 'move'];
+const alertIndex = new Map();
+
+function indexAlert(alert) {
+  if (!alertIndex.has(alert.marketId)) alertIndex.set(alert.marketId, new Set());
+  alertIndex.get(alert.marketId).add(alert.id);
+}
+
+function unindexAlert(alert) {
+  const ids = alertIndex.get(alert.marketId);
+  if (ids) ids.delete(alert.id);
+}
+
+// Largest move of the outcome's price since `since`, signed by direction.
+// Binary markets only chart YES, and NO moves by the same amount.
+function priceMove(market, outcome, since) {
+  const key = market.type === 'binary' ? market.id : seriesKey(market, outcome);
+  const series = db.series.get(key);
+  const now = markPrice(market, market.type === 'binary' ? market.outcomes[0].id : outcome);
+  const candles = series ? series['1m'].filter(c => c[0] >= since) : [];
+  if (!candles.length) return 0;
+  const up = now - Math.min(...candles.map(c => c[3]));
+  const down = Math.max(...candles.map(c => c[2])) - now;
+  const move = up >= down ? up : -down;
+  return market.type === 'binary' && outcome !== market.outcomes[0].id ? -move : move;
+}
+
+function checkAlerts(market) {
+  const ids = alertIndex.get(market.id);
+  if (!ids || !ids.size || market.outcome) return;
+  const now = Date.now();
+  ids.forEach(id => {
+    const alert = db.alerts.get(id);
+    const price = market.prices[alert.outcome];
+    const label = outcomeName(market, alert.outcome);
+    if (alert.kind === 'cross') {
+      if (alert.direction === 'above' ? price < alert.price : price > alert.price) return;
+      alert.active = false;
+      unindexAlert(alert);
+      notify(alert.userId, 'alert', market, label + ' crossed ' + alert.direction + ' ' + alert.price + '¢ (now ' + price + '¢)', alert.id);
+    } else {
+      const move = priceMove(market, alert.outcome, Math.max(now - alert.window * 60000, alert.triggeredAt || alert.createdAt));
+      if (Math.abs(move) < alert.points) return;
+      notify(alert.userId, 'alert', market, label + ' moved ' + (move > 0 ? '+' : '') + move.toFixed(1) + '¢ in ' + alert.window + ' min (now ' + price + '¢)', alert.id);
+    }
+    emitWebhook('price.threshold', { alert: alertView(alert), price }, alert.userId);
+    alert.triggeredAt = now;
+    alert.triggers++;
+    touch('alerts', alert.id, ['active', 'triggeredAt', 'triggers']);
+  });
+}
+
+function outcomeName(market, outcome) {
+  return market.type === 'binary' ? outcome : market.outcomes.find(o => o.id === outcome).label;
+}
+
+function notify(userId, type, market, body, ref = null) {
+  const inbox = db.notifications.get(userId) || [];
+  const notification = {
+    id: nextId('notification'), type, marketId: market.id, title: market.title, body, ref, createdAt: Date.now(), read: false
+  };
+  inbox.unshift(notification);
+  if (inbox.length > MAX_NOTIFICATIONS) inbox.length = MAX_NOTIFICATIONS;
+  db.notifications.set(userId, inbox);
+  touch('notifications', userId);
+  publish('notification', notification, { userId });
+}
+
+function alertView(alert) {
+  const market = db.markets[alert.marketId];
+  return {
+    id: alert.id, marketId: alert.marketId, title: market.title, outcome: alert.outcome, label: outcomeName(market, alert.outcome),
+    kind: alert.kind, price: alert.price, direction: alert.direction, points: alert.points, window: alert.window,
+    active: alert.active, triggers: alert.triggers, triggeredAt: alert.triggeredAt, createdAt: alert.createdAt,
+    current: market.prices[alert.outcome]
+  };
+}
+
+// ============ TRIGGERS ============
+// Stop-loss, take-profit and trailing-stop sells attached to a position.
+// Like alerts they are checked whenever a market's prices change, against
+// the position's mark price. One that hits is queued and sold right after
+// the current request or tick, through the same path as POST /api/sell and
+// at whatever the curve pays by then. A trailing stop follows the highest
+// price seen since it was placed and fires `trail` cents below it. Closing
+// a position, by hand, by trigger or at settlement, cancels the rest. A
+// trigger that hits while its market can't trade waits for it to reopen.
+const TRIGGER_TYPES = ['stop_loss', 'take_profit', 'trailing_stop'];
+const TRIGGER_LABELS = { stop_loss: 'Stop-loss', take_profit: 'Take-profit', trailing_stop: 'Trailing stop' };
+const MAX_TRIGGERS = 10;
+const triggerIndex = new Map();
+const firedTriggers = new Set();
+
+function indexTrigger(trigger) {
+  if (!triggerIndex.has(trigger.marketId)) triggerIndex.set(trigger.marketId, new Set());
+  triggerIndex.get(trigger.marketId).add(trigger.id);
+}
+
+function unindexTrigger(trigger) {
+  const ids = triggerIndex.get(trigger.marketId);
+  if (ids) ids.delete(trigger.id);
+}
+
+function stopPrice(trigger) {
+  return trigger.type === 'trailing_stop' ? cents(trigger.peak - trigger.trail) : trigger.price;
+}
+
+function checkTriggers(market) {
+  const ids = triggerIndex.get(market.id);
+  if (!ids || !ids.size || market.outcome) return;
+  ids.forEach(id => {
+    const trigger = db.triggers.get(id);
+    const price = markPrice(market, trigger.side);
+    if (trigger.type === 'trailing_stop' && price > trigger.peak) {
+      trigger.peak = price;
+      touch('triggers', trigger.id, ['peak']);
+    }
+    if (trigger.type === 'take_profit' ? price < trigger.price : price > stopPrice(trigger)) return;
+    if (!firedTriggers.size) setImmediate(runTriggers);
+    firedTriggers.add(id);
+  });
+}
+
+function runTriggers() {
+  const ids = [...firedTriggers];
+  firedTriggers.clear();
+  ids.forEach(id => {
+    const trigger = db.triggers.get(id);
+    if (trigger.status === 'open') fireTrigger(trigger);
+  });
+  commit('trigger');
+}
+
+function fireTrigger(trigger) {
+  const user = db.users.get(trigger.userId);
+  const market = db.markets[trigger.marketId];
+  // A market that was halted or closed while the sale was queued may trade
+  // again, so the trigger stays armed; resuming checks it again, and
+  // settlement cancels it
+  if (tradingError(market)) return;
+  const pos = (db.positions.get(user.id) || []).find(p => p.id === trigger.positionId);
+  const price = markPrice(market, trigger.side);
+  closeTrigger(trigger, 'triggered');
+  
+  const result = pos ? executeSale(user, pos.id, Math.min(trigger.shares || pos.shares, pos.shares), trigger.type) : { error: 'Position not found' };
+  const label = TRIGGER_LABELS[trigger.type] + ' on ' + outcomeName(market, trigger.side) + ' at ' + price + '¢';
+  if (result.error) {
+    trigger.status = 'failed';
+    trigger.result = { error: result.error };
+    notify(user.id, 'trigger', market, label + ' could not sell: ' + result.error, trigger.id);
+  } else {
+    trigger.result = { shares: result.shares, payout: result.payout, avgPrice: result.avgPrice, pnl: cents(result.pnl) };
+    notify(user.id, 'trigger', market, label + ' sold ' + result.shares + ' shares for $' + result.payout.toFixed(2) + ' (' + (result.pnl >= 0 ? '+' : '-') + '$' + Math.abs(result.pnl).toFixed(2) + ')', trigger.id);
+  }
+}
+
+function closeTrigger(trigger, status) {
+  trigger.status = status;
+  trigger.closedAt = Date.now();
+  unindexTrigger(trigger);
+  touch('triggers', trigger.id);
+}
+
+function cancelTriggers(match) {
+  db.triggers.forEach(t => { if (t.status === 'open' && match(t)) closeTrigger(t, 'cancelled'); });
+}
+
+function triggerView(t) {
+  return {
+    id: t.id, positionId: t.positionId, marketId: t.marketId, side: t.side, type: t.type, price: t.price, trail: t.trail,
+    peak: t.peak, stopPrice: stopPrice(t), shares: t.shares, status: t.status, result: t.result, createdAt: t.createdAt, closedAt: t.closedAt
+  };
+}
+
+// ============ WEBHOOKS ============
+// Users subscribe an endpoint to event types about their own account;
+// admins' endpoints also receive every user's events. Each event becomes a
+// delivery per endpoint, queued and retried with exponential backoff until
+// the receiver answers 2xx or the attempts run out. Receivers verify
+// X-PredictX-Signature, an HMAC-SHA256 of `<timestamp>.<body>` keyed by the
+// endpoint's secret, with the timestamp sent in X-PredictX-Timestamp.
+const WEBHOOK_EVENTS = ['trade.executed', 'market.resolved', 'price.threshold', 'position.closed'];
+const MAX_WEBHOOKS = 10;
+const MAX_ATTEMPTS = 6;
+const DELIVERY_TIMEOUT = 10000;
+const DELIVERY_LOG = 100;
+const inFlight = new Set();
+
+function httpUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Targets on loopback, private or link-local networks would let users probe
+// the internal network through the delivery log, so only admins may use
+// them (anyone, with WEBHOOK_ALLOW_PRIVATE=1 for local receivers). Checked
+// when a hook is saved, and on every delivery against the address the
+// connection is made to, so a name that re-resolves can't slip through.
+const PRIVATE_NETS = new net.BlockList();
+const PRIVATE_TARGET = 'URL must not point at a private or loopback address';
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => PRIVATE_NETS.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([address, prefix]) => PRIVATE_NETS.addSubnet(address, prefix, 'ipv6'));
+
+function privateAddress(address, family) {
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? PRIVATE_NETS.check(mapped[1], 'ipv4') : PRIVATE_NETS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+async function webhookTargetError(url, user) {
+  if (WEBHOOK_ALLOW_PRIVATE || (user && isAdmin(user))) return null;
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(new URL(url).hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch {
+    // Unresolvable names fail at delivery with the DNS error
+    return null;
+  }
+  return addresses.some(a => privateAddress(a.address, a.family)) ? PRIVATE_TARGET : null;
+}
+
+// dns.lookup for restricted deliveries: the socket connects to the address
+// checked here rather than resolving the name again
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(a => privateAddress(a.address, a.family))) return callback(new Error(PRIVATE_TARGET));
+    callback(null, address, family);
+  });
+}
+
+// Resolves with the response status. IP literals never reach `lookup`, so
+// restricted ones are checked up front
+function postWebhook(url, headers, body, restricted) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (restricted && net.isIP(host) && privateAddress(host, net.isIP(host))) return reject(new Error(PRIVATE_TARGET));
+    
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: restricted ? publicLookup : undefined
+    }, res => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(new Error('Timed out')), DELIVERY_TIMEOUT);
+    req.on('error', e => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    req.end(body);
+  });
+}
+
+function webhookView(hook) {
+  return {
+    id: hook.id, url: hook.url, events: hook.events, active: hook.active, createdAt: hook.createdAt,
+    failing: hook.failing
+  };
+}
+
+function positionEvent(pos, market) {
+  return { marketId: market.id, title: market.title, side: pos.side, label: pos.label, avg: pos.avg };
+}
+
+// `userId` is the account the event is about; null for public events
+function emitWebhook(event, data, userId = null) {
+  const hooks = [...db.webhooks.values()].filter(h => h.active && h.events.includes(event) &&
+    (userId === null || h.userId === userId || isAdmin(db.users.get(h.userId))));
+  if (!hooks.length) return;
+  const body = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: Date.now(), data });
+  hooks.forEach(hook => enqueueDelivery(hook, event, body));
+}
+
+function enqueueDelivery(hook, event, body) {
+  const delivery = {
+    id: nextId('delivery'), webhookId: hook.id, event, body, status: 'pending', attempts: 0,
+    nextAttemptAt: Date.now(), responseStatus: null, error: null, createdAt: Date.now(), deliveredAt: null
+  };
+  db.deliveries.set(delivery.id, delivery);
+  touch('deliveries', delivery.id);
+  
+  const log = [...db.deliveries.values()].filter(d => d.webhookId === hook.id);
+  log.slice(0, Math.max(0, log.length - DELIVERY_LOG)).forEach(d => {
+    db.deliveries.delete(d.id);
+    touch('deliveries', d.id);
+  });
+  return delivery;
+}
+
+async function attemptDelivery(delivery) {
+  const hook = db.webhooks.get(delivery.webhookId);
+  const timestamp = String(Date.now());
+  const signature = crypto.createHmac('sha256', hook.secret).update(timestamp + '.' + delivery.body).digest('hex');
+  delivery.attempts++;
+  const owner = db.users.get(hook.userId);
+  try {
+    const status = await postWebhook(hook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PredictX-Webhooks/1',
+      'X-PredictX-Event': delivery.event,
+      'X-PredictX-Delivery': String(delivery.id),
+      'X-PredictX-Timestamp': timestamp,
+      'X-PredictX-Signature': 'sha256=' + signature
+    }, delivery.body, !WEBHOOK_ALLOW_PRIVATE && !(owner && isAdmin(owner)));
+    delivery.responseStatus = status;
+    delivery.error = status >= 200 && status < 300 ? null : 'HTTP ' + status;
+  } catch (e) {
+    delivery.responseStatus = null;
+    delivery.error = e.message;
+  }
+  
+  if (!delivery.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = Date.now();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = Date.now() + WEBHOOK_BACKOFF * 2 ** (delivery.attempts - 1);
+  }
+  if (db.webhooks.has(hook.id) && hook.failing !== (delivery.status === 'failed')) {
+    hook.failing = delivery.status === 'failed';
+    touch('webhooks', hook.id, ['failing']);
+  }
+  if (db.deliveries.has(delivery.id)) touch('deliveries', delivery.id);
+  commit('webhook');
+}
+
+function runDeliveries() {
+  const now = Date.now();
+  db.deliveries.forEach(d => {
+    if (d.status !== 'pending' || d.nextAttemptAt > now || inFlight.has(d.id)) return;
+    if (!db.webhooks.has(d.webhookId)) return;
+    inFlight.add(d.id);
+    attemptDelivery(d).finally(() => inFlight.delete(d.id));
+  });
+}
+
+setInterval(runDeliveries, 1000);
+
+function deliveryView(d) {
+  return {
+    id: d.id, event: d.event, status: d.status, attempts: d.attempts, responseStatus: d.responseStatus, error: d.error,
+    createdAt: d.createdAt, deliveredAt: d.deliveredAt, nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : null,
+    payload: JSON.parse(d.body)
+  };
+}
+
+function ownWebhook(req) {
+  const user = getUser(req);
+  if (!user) return { error: 'Unauthorized', status: 401 };
+  const hook = db.webhooks.get(parseInt(req.params.id));
+  if (!hook || hook.userId !== user.id) return { error: 'Webhook not found', status: 404 };
+  return { user, hook };
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    return 'Events must be a list drawn from ' + WEBHOOK_EVENTS.join(', ');
+  }
+  return null;
+}
+
+// ============ MARKET LIFECYCLE ============
+// draft -> open -> closed -> resolved | voided, with halted as a detour an
+// admin can put an open market into. Status is derived from the clock, the
+// halt flag and the outcome; the scheduler stores it whenever it changes so
+// clients get an event and closing markets release their resting orders.
+const MARKET_STATUSES = ['draft', 'open', 'halted', 'closed', 'resolved', 'voided'];
+
+function marketStatus(market, now = Date.now()) {
+  if (market.outcome) return market.outcome === 'INVALID' ? 'voided' : 'resolved';
+  if (now >= market.closeAt) return 'closed';
+  if (market.halted) return 'halted';
+  if (now < market.openAt) return 'draft';
+  return 'open';
+}
+
+function updateStatus(market) {
+  const status = marketStatus(market);
+  if (status === market.status) return;
+  market.status = status;
+  touch('markets', market.id, ['status']);
+  if (status === 'closed') cancelMarketOrders(market).forEach(publishAccount);
+  if (status === 'open') checkTriggers(market);
+  publish('market', statusView(market), { marketId: market.id });
+}
+
+function statusView(market) {
+  return { id: market.id, status: market.status, openAt: market.openAt, closeAt: market.closeAt, haltReason: market.haltReason, proposal: market.proposal || null };
+}
+
+// Why the market can't take orders right now, or null when it can
+function tradingError(market) {
+  updateStatus(market);
+  switch (market.status) {
+    case 'draft': return 'Market opens at ' + new Date(market.openAt).toISOString();
+    case 'halted': return 'Trading is halted' + (market.haltReason ? ': ' + market.haltReason : '');
+    case 'closed': return 'Market closed at ' + new Date(market.closeAt).toISOString() + ' and is awaiting resolution';
+    case 'resolved':
+    case 'voided': return 'Market is resolved';
+  }
+  return null;
+}
+
+function setHalt(market, halted, reason = null) {
+  market.halted = halted;
+  market.haltReason = halted ? reason : null;
+  touch('markets', market.id, ['halted', 'haltReason']);
+  updateStatus(market);
+}
+
+function runScheduler() {
+  db.markets.forEach(updateStatus);
+  commit('schedule');
+}
+
+setInterval(runScheduler, 1000);
+
+// ============ ORACLES ============
+// A binary market can name an oracle: a URL serving JSON, a JSONPath to a
+// number in it, and a comparison against a threshold that decides YES or
+// NO. Once the market closes the scheduler fetches it, keeps the raw
+// response as evidence and proposes the outcome; failed fetches are retried
+// with backoff and after the last one the market waits for an admin. The
+// proposal settles the market when the dispute window ends, and until then
+// an admin can override it by resolving by hand.
+const ORACLE_COMPARATORS = { '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b, '<=': (a, b) => a <= b, '==': (a, b) => a === b };
+const ORACLE_TIMEOUT = 10000;
+const ORACLE_MAX_ATTEMPTS = 5;
+const MAX_EVIDENCE = 10;
+const EVIDENCE_LIMIT = 4000;
+const oracleBusy = new Set();
+
+// The JSONPath subset oracles need: $.a.b, $.list[0], $['odd key']
+function parseJsonPath(path) {
+  if (typeof path !== 'string' || path[0] !== '$') return null;
+  const step = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  const steps = [];
+  step.lastIndex = 1;
+  while (step.lastIndex < path.length) {
+    const m = step.exec(path);
+    if (!m) return null;
+    steps.push(m[2] !== undefined ? parseInt(m[2]) : m[1] ?? m[3] ?? m[4]);
+  }
+  return steps;
+}
+
+function oracleError(oracle, binary) {
+  if (!isType('object', oracle)) return 'Oracle must be an object';
+  if (!binary) return 'Oracles can only resolve YES/NO markets';
+  if (!httpUrl(oracle.url)) return 'Oracle URL must be http or https';
+  if (!parseJsonPath(oracle.path)) return 'Oracle path must be a JSONPath like $.data.price';
+  if (!ORACLE_COMPARATORS[oracle.comparator]) return 'Comparator must be one of ' + Object.keys(ORACLE_COMPARATORS).join(' ');
+  if (!Number.isFinite(oracle.threshold)) return 'Oracle threshold must be a number';
+  return null;
+}
+
+function oracleConfig({ url, path, comparator, threshold }) {
+  return { url: httpUrl(url), path, comparator, threshold, attempts: 0, retryAt: 0, failed: false };
+}
+
+// Fetches the oracle and reads its verdict; never throws, failures are part
+// of the evidence
+async function fetchOracle(oracle) {
+  const evidence = { type: 'fetch', at: Date.now(), url: oracle.url, status: null, body: null, sha256: null, value: null, outcome: null, error: null };
+  try {
+    const res = await fetch(oracle.url, {
+      headers: { Accept: 'application/json', 'User-Agent': 'PredictX-Oracle/1' },
+      signal: AbortSignal.timeout(ORACLE_TIMEOUT)
+    });
+    const text = await res.text();
+    evidence.status = res.status;
+    evidence.sha256 = crypto.createHash('sha256').update(text).digest('hex');
+    evidence.body = text.slice(0, EVIDENCE_LIMIT);
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    
+    const raw = parseJsonPath(oracle.path).reduce((v, key) => v == null ? undefined : v[key], JSON.parse(text));
+    const value = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+    if (!Number.isFinite(value)) throw new Error(oracle.path + ' is not a number');
+    evidence.value = value;
+    evidence.outcome = ORACLE_COMPARATORS[oracle.comparator](value, oracle.threshold) ? 'YES' : 'NO';
+  } catch (e) {
+    evidence.error = e.name === 'TimeoutError' ? 'Timed out' : e instanceof SyntaxError ? 'Response is not JSON' : e.cause ? e.cause.message || e.message : e.message;
+  }
+  return evidence;
+}
+
+function recordEvidence(market, entry) {
+  market.evidence.push(entry);
+  if (market.evidence.length > MAX_EVIDENCE) market.evidence.shift();
+}
+
+// Attaching, replacing or removing an oracle after creation is kept in the
+// evidence, and drops any proposal the old one made
+function setOracle(market, oracle, user) {
+  recordEvidence(market, {
+    type: oracle ? 'oracle_set' : 'oracle_cleared', at: Date.now(), by: user.id,
+    oracle: oracle ? oracleConfig(oracle) : null, previous: market.oracle || null, proposal: market.proposal || null
+  });
+  market.oracle = oracle ? oracleConfig(oracle) : null;
+  market.proposal = null;
+  touch('markets', market.id, ['oracle', 'evidence', 'proposal']);
+  publish('market', statusView(market), { marketId: market.id });
+}
+
+function notifyAdmins(market, body) {
+  db.users.forEach(u => { if (isAdmin(u)) notify(u.id, 'oracle', market, body); });
+}
+
+async function queryOracle(market) {
+  const oracle = market.oracle;
+  const evidence = await fetchOracle(oracle);
+  // Resolved by hand or given a new oracle while the fetch was out
+  if (market.outcome || market.oracle !== oracle) return;
+  
+  oracle.attempts++;
+  recordEvidence(market, evidence);
+  if (evidence.error) {
+    if (oracle.attempts >= ORACLE_MAX_ATTEMPTS) {
+      oracle.failed = true;
+      notifyAdmins(market, 'Oracle failed ' + oracle.attempts + ' times (' + evidence.error + '); resolve by hand');
+    } else {
+      oracle.retryAt = Date.now() + ORACLE_RETRY * 2 ** (oracle.attempts - 1);
+    }
+  } else {
+    market.proposal = {
+      outcome: evidence.outcome, value: evidence.value, status: 'pending',
+      proposedAt: evidence.at, disputeEndsAt: evidence.at + ORACLE_DISPUTE_WINDOW
+    };
+    notifyAdmins(market, 'Oracle proposes ' + evidence.outcome + ' (' + oracle.path + ' = ' + evidence.value + ' ' + oracle.comparator + ' ' + oracle.threshold +
+      '); final at ' + new Date(market.proposal.disputeEndsAt).toISOString() + ' unless overridden');
+    publish('market', statusView(market), { marketId: market.id });
+  }
+  touch('markets', market.id, ['oracle', 'evidence', 'proposal']);
+  commit('oracle');
+}
+
+function runOracles() {
+  const now = Date.now();
+  db.markets.forEach(market => {
+    if (!market.oracle || market.outcome) return;
+    if (market.proposal) {
+      if (now < market.proposal.disputeEndsAt) return;
+      market.proposal.status = 'final';
+      settleMarket(market, market.proposal.outcome, 'oracle');
+      return;
+    }
+    if (market.status !== 'closed' || market.oracle.failed || market.oracle.retryAt > now || oracleBusy.has(market.id)) return;
+    oracleBusy.add(market.id);
+    queryOracle(market).finally(() => oracleBusy.delete(market.id));
+  });
+  commit('oracle');
+}
+
+setInterval(runOracles, 1000);
+
+// ============ LIVE STREAM ============
+// Server-Sent Events. Every event gets a sequence id and is kept in a short
+// backlog so a client reconnecting with Last-Event-ID gets what it missed.
+// Market events only reach clients subscribed to that market (or to all),
+// account events only reach connections signed in as that user.
+const STREAM_BACKLOG = 5000;
+const stream = { seq: 0, backlog: [], clients: new Set(), dirty: new Set() };
+
+function publish(type, data, scope = {}) {
+  const event = { id: ++stream.seq, type, data, ...scope };
+  stream.backlog.push(event);
+  if (stream.backlog.length > STREAM_BACKLOG) stream.backlog.shift();
+  stream.clients.forEach(c => sendEvent(c, event));
+}
+
+function publishAccount(userId) {
+  const user = db.users.get(userId);
+  if (!user) return;
+  publish('account', { balance: user.balance, positions: db.positions.get(userId) || [] }, { userId });
+}
+
+function sendEvent(client, event) {
+  let data = event.data;
+  if (event.userId && (!client.user || client.user.id !== event.userId)) return;
+  if (event.marketId !== undefined && client.markets && !client.markets.has(event.marketId)) return;
+  if (event.type === 'prices' && client.markets) {
+    data = {};
+    Object.keys(event.data).forEach(id => { if (client.markets.has(+id)) data[id] = event.data[id]; });
+    if (!Object.keys(data).length) return;
+  }
+  client.res.write('id: ' + event.id + '\nevent: ' + event.type + '\ndata: ' + JSON.stringify(data) + '\n\n');
+}
+
+function parseMarketIds(list) {
+  if (list === undefined || list === null || list === 'all') return null;
+  return new Set(String(list).split(',').map(id => parseInt(id)).filter(id => db.markets[id]));
+}
+
+function flushPriceDeltas() {
+  if (!stream.dirty.size) return;
+  const data = {};
+  stream.dirty.forEach(id => {
+    const m = db.markets[id];
+    data[id] = { yes: m.yes, no: m.no, prices: m.prices };
+  });
+  stream.dirty.clear();
+  publish('prices', data);
+}
+
+setInterval(flushPriceDeltas, 500);
+setInterval(() => stream.clients.forEach(c => c.res.write(': ping\n\n')), 15000);
+
+// ============ MARKET LISTINGS ============
+// Search ranks markets by how well each query token matches the title
+// (whole word, then prefix, then anywhere), with weaker credit for the
+// description, category and outcome labels; every token has to match
+// somewhere. A listing's order is fixed when its first page is served and
+// kept under the cursor, so later pages don't shift as prices move.
+const MARKET_SORTS = {
+  volume: { key: m => m.vol, dir: -1 },
+  traders: { key: m => m.users, dir: -1 },
+  change: { key: m => change24h(m), dir: -1 },
+  closing: { key: m => m.closeAt > Date.now() ? m.closeAt : Infinity, dir: 1 },
+  newest: { key: m => m.createdAt, dir: -1 },
+  probability: { key: m => leadPrice(m), dir: -1 }
+};
+const LISTING_TTL = 15 * 60 * 1000;
+const MAX_LISTINGS = 1000;
+const listings = new Map();
+
+// YES for binary markets, the favourite's price for categorical ones
+function leadPrice(market) {
+  return market.type === 'binary' ? market.prices.YES : Math.max(...Object.values(market.prices));
+}
+
+function change24h(market) {
+  const series = db.series.get(market.id);
+  const since = Date.now() - DAY;
+  const start = series && series['1h'].find(c => c[0] + RESOLUTIONS['1h'].ms > since);
+  return start ? cents(markPrice(market) - start[1]) : 0;
+}
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function searchScore(market, tokens) {
+  const words = tokenize(market.title);
+  const title = market.title.toLowerCase();
+  const labels = market.type === 'binary' ? '' : market.outcomes.map(o => o.label).join(' ');
+  const rest = ((market.description || '') + ' ' + market.catName + ' ' + labels).toLowerCase();
+  let score = 0;
+  for (const t of tokens) {
+    if (words.includes(t)) score += 3;
+    else if (words.some(w => w.startsWith(t))) score += 2;
+    else if (title.includes(t)) score += 1;
+    else if (rest.includes(t)) score += 0.5;
+    else return 0;
+  }
+  return score;
+}
+
+// Filters and orders the whole catalogue, returning market ids
+function queryMarkets(url, user) {
+  const param = k => url.searchParams.get(k);
+  const num = k => param(k) === null ? null : Number(param(k));
+  const cat = param('cat');
+  const status = param('status');
+  const sort = param('sort');
+  const order = param('order');
+  const [minPrice, maxPrice, minVolume] = [num('minPrice'), num('maxPrice'), num('minVolume')];
+  const tokens = tokenize(param('q') || '');
+  const watching = param('watching') ? new Set(user ? db.watchlists.get(user.id) : []) : null;
+  if (watching && !user) return { error: 'Unauthorized', status: 401 };
+  if (status && !MARKET_STATUSES.includes(status)) return { error: 'Invalid status' };
+  if (sort && !MARKET_SORTS[sort]) return { error: 'Sort must be one of ' + Object.keys(MARKET_SORTS).join(', ') };
+  if (order && !['asc', 'desc'].includes(order)) return { error: 'Order must be asc or desc' };
+  if ([minPrice, maxPrice].some(p => p !== null && !(p >= 0 && p <= 100))) return { error: 'Price filters must be 0-100' };
+  if (minVolume !== null && !(minVolume >= 0)) return { error: 'Invalid minVolume' };
+  
+  let markets = db.markets.filter(m => (!cat || cat === 'all' || m.cat === cat) && (!status || m.status === status) &&
+    (!watching || watching.has(m.id)) &&
+    (minPrice === null || leadPrice(m) >= minPrice) && (maxPrice === null || leadPrice(m) <= maxPrice) &&
+    (minVolume === null || m.vol >= minVolume));
+  
+  let rank = null;
+  if (tokens.length) {
+    const scores = new Map();
+    markets.forEach(m => scores.set(m.id, searchScore(m, tokens)));
+    markets = markets.filter(m => scores.get(m.id) > 0);
+    rank = m => scores.get(m.id);
+  }
+  
+  if (sort || rank) {
+    const { key, dir } = sort ? MARKET_SORTS[sort] : { key: rank, dir: -1 };
+    const sign = order ? (order === 'asc' ? 1 : -1) : dir;
+    const keys = new Map(markets.map(m => [m.id, key(m)]));
+    markets = [...markets].sort((a, b) => sign * (keys.get(a.id) - keys.get(b.id)) || (rank && !sort ? b.vol - a.vol : 0) || a.id - b.id);
+  }
+  return { ids: markets.map(m => m.id) };
+}
+
+function saveListing(ids) {
+  const id = crypto.randomBytes(9).toString('base64url');
+  listings.set(id, { ids, expires: Date.now() + LISTING_TTL });
+  if (listings.size > MAX_LISTINGS) listings.delete(listings.keys().next().value);
+  return id;
+}
+
+function marketRow(m) {
+  return {
+    id: m.id, title: m.title, cat: m.cat, catName: m.catName, icon: m.icon, color: m.color, type: m.type,
+    outcomes: m.outcomes, prices: m.prices, yes: m.yes, no: m.no, change24h: change24h(m), vol: m.vol, users: m.users,
+    status: m.status, openAt: m.openAt, closeAt: m.closeAt, haltReason: m.haltReason, outcome: m.outcome
+  };
+}
+
+setInterval(() => listings.forEach((l, id) => { if (l.expires < Date.now()) listings.delete(id); }), 60000);
+
+// ============ API ROUTES ============
+const TRADE_COLUMNS = ['id', 'timestamp', 'marketId', 'title', 'type', 'side', 'shares', 'price', 'amount', 'fee', 'pnl', 'orderId'];
+
+// Shared filters for the trade history endpoints: market, side, type and a from/to date range
+function tradeFilter(url) {
+  const param = k => url.searchParams.get(k);
+  const marketId = param('marketId') !== null ? parseInt(param('marketId')) : null;
+  const side = param('outcome') || param('side');
+  const type = param('type');
+  const from = param('from') ? parseTime(param('from')) : 0;
+  const to = param('to') ? parseTime(param('to')) : Infinity;
+  if (type && !['buy', 'sell'].includes(type)) return { error: 'Invalid type' };
+  if (Number.isNaN(from) || Number.isNaN(to)) return { error: 'Invalid date range' };
+  
+  return {
+    match: t => (marketId === null || t.marketId === marketId) && (!side || t.side === side) &&
+      (!type || t.type === type) && t.timestamp >= from && t.timestamp <= to
+  };
+}
+
+// Accepts epoch milliseconds or anything Date can parse (e.g. 2026-01-31)
+function parseTime(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+function tradeRow(t) {
+  const m = db.markets[t.marketId];
+  return {
+    id: t.id, timestamp: t.timestamp, marketId: t.marketId, title: m ? m.title : '', type: t.type, side: t.side,
+    shares: t.shares, price: t.price, amount: t.amount, fee: t.fee || 0, pnl: t.pnl === undefined ? null : t.pnl, orderId: t.orderId
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+// `market` is the market being edited, absent when creating
+function validateMarketFields(body, market) {
+  const creating = !market;
+  const has = key => creating || body[key] !== undefined;
+  if (has('title') && (typeof body.title !== 'string' || body.title.trim().length < 10 || body.title.length > 200)) {
+    return 'Title must be 10-200 characters';
+  }
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 5000)) {
+    return 'Description must be under 5000 characters';
+  }
+  if (has('resolutionCriteria') && (typeof body.resolutionCriteria !== 'string' || !body.resolutionCriteria.trim())) {
+    return 'Resolution criteria required';
+  }
+  if (has('category') && !CATEGORIES.some(c => c.id === body.category)) return 'Invalid category';
+  if (has('closeAt') && (!Number.isFinite(body.closeAt) || body.closeAt <= Date.now())) {
+    return 'Close time must be in the future';
+  }
+  if (body.openAt !== undefined && !Number.isFinite(body.openAt)) return 'Invalid open time';
+  const openAt = body.openAt !== undefined ? body.openAt : creating ? Date.now() : market.openAt;
+  if ((body.closeAt !== undefined ? body.closeAt : market.closeAt) <= openAt) return 'Close time must be after open time';
+  if (body.outcomes !== undefined) {
+    if (!creating) return 'Outcomes can only be set when a market is created';
+    if (!Array.isArray(body.outcomes) || body.outcomes.length < 2 || body.outcomes.length > MAX_OUTCOMES) {
+      return 'Outcomes must be a list of 2-' + MAX_OUTCOMES + ' answers';
+    }
+    const labels = body.outcomes.map(o => typeof o === 'string' ? o.trim().toLowerCase() : '');
+    if (labels.some(l => !l || l.length > 60)) return 'Each outcome must be 1-60 characters';
+    if (new Set(labels).size !== labels.length) return 'Outcomes must be unique';
+  }
+  
+  const count = body.outcomes ? body.outcomes.length : market ? market.outcomes.length : 2;
+  const binary = creating ? body.outcomes === undefined : market.type === 'binary';
+  if (body.probabilities !== undefined) {
+    const probs = body.probabilities;
+    if (!Array.isArray(probs) || probs.length !== count || probs.some(p => !Number.isInteger(p) || p < 1) ||
+        probs.reduce((a, p) => a + p, 0) !== 100) {
+      return 'Probabilities must be whole percentages of at least 1, one per outcome, summing to 100';
+    }
+  } else if (binary && has('probability') && (!Number.isInteger(body.probability) || body.probability < 1 || body.probability > 99)) {
+    return 'Initial probability must be 1-99';
+  }
+  if (!binary && body.probability !== undefined) return 'Use probabilities for markets with several outcomes';
+  if (body.liquidity !== undefined && (!Number.isFinite(body.liquidity) || body.liquidity < 10)) {
+    return 'Invalid liquidity';
+  }
+  if (body.oracle !== undefined && body.oracle !== null) {
+    const error = oracleError(body.oracle, binary);
+    if (error) return error;
+  }
+  return null;
+}
+
+const routes = {
+  'POST /api/register': async (req, body) => {
+    const { username, email, password } = body;
+    if (!username || !email || !password) return { error: 'Missing fields', status: 400 };
+    if (username.length < 3) return { error: 'Username too short', status: 400 };
+    if (password.length < 6) return { error: 'Password too short', status: 400 };
+    
+    const existing = [...db.users.values()].find(u => u.email === email || u.username === username);
+    const claims = ['email:' + email.toLowerCase(), 'username:' + username.toLowerCase()];
+    if (existing || claims.some(c => pendingSignups.has(c))) return { error: 'User already exists', status: 400 };
+    
+    claims.forEach(c => pendingSignups.add(c));
+    let hash;
+    try {
+      hash = await hashPassword(password);
+    } finally {
+      claims.forEach(c => pendingSignups.delete(c));
+    }
+    
+    const id = crypto.randomUUID();
+    const user = {
+      id,
+      username,
+      email,
+      password: hash,
+      balance: 0,
+      created: Date.now(),
+      wins: 0,
+      losses: 0,
+      role: ADMIN_EMAILS.includes(email.toLowerCase()) ? 'admin' : 'user'
+    };
+    db.users.set(id, user);
+    db.positions.set(id, []);
+    postLedger(user, 'signup_bonus', SIGNUP_BONUS);
+    touch('positions', id);
+    
+    return { ...createSession(user, req), user: userView(user) };
+  },
+  
+  'POST /api/login': async (req, body) => {
+    const { email, password } = body;
+    const locked = loginLockout(email);
+    if (locked) return { error: 'Too many failed sign-ins; try again in ' + Math.ceil(locked / 60) + ' min', status: 429, retryAfter: locked };
+    
+    // Counted as a failure up front, so guesses sent in parallel can't all pass
+    // the lockout check while the hashes run; a success clears the count
+    recordLoginAttempt(email);
+    const user = [...db.users.values()].find(u => u.email === email);
+    // Hash against a dummy when the email is unknown so timing doesn't reveal which accounts exist
+    const valid = await verifyPassword(String(password || ''), user ? user.password : DUMMY_HASH);
+    if (!user || !valid) return { error: 'Invalid credentials', status: 401 };
+    loginFailures.delete(email.toLowerCase());
+    
+    return { ...createSession(user, req), user: userView(user) };
+  },
+  
+  'POST /api/refresh': (req, body) => {
+    const [sid, secret] = String(body.refreshToken || '').split('.');
+    const session = db.sessions.get(sid);
+    if (!session || !secret || session.revokedAt || session.expiresAt < Date.now()) {
+      return { error: 'Invalid refresh token', status: 401 };
+    }
+    if (!safeEqual(Buffer.from(hashRefresh(secret)), Buffer.from(session.refreshHash))) {
+      revokeSession(session);
+      return { error: 'Refresh token reused; session revoked', status: 401 };
+    }
+    
+    return issueTokens(session);
+  },
+  
+  'POST /api/logout': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    revokeSession(req.session);
+    return { success: true };
+  },
+  
+  'POST /api/logout-all': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    let revoked = 0;
+    db.sessions.forEach(s => {
+      if (s.userId !== user.id || s.revokedAt) return;
+      revokeSession(s);
+      revoked++;
+    });
+    return { success: true, revoked };
+  },
+  
+  'GET /api/me': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const positions = db.positions.get(user.id) || [];
+    return { user: userView(user), positions };
+  },
+  
+  // Filters and sort apply to the first page; after that `cursor` pages
+  // through the same listing
+  'GET /api/markets': (req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 200);
+    const cursor = url.searchParams.get('cursor');
+    let ids, listingId, offset;
+    
+    if (cursor) {
+      [listingId, offset] = cursor.split('.');
+      const listing = listings.get(listingId);
+      if (!listing || listing.expires < Date.now()) return { error: 'Cursor expired; request the first page again', status: 410 };
+      ids = listing.ids;
+      offset = parseInt(offset) || 0;
+    } else {
+      const query = queryMarkets(url, getUser(req));
+      if (query.error) return { error: query.error, status: query.status || 400 };
+      ids = query.ids;
+      offset = parseInt(url.searchParams.get('offset')) || 0;
+    }
+    
+    const more = offset + limit < ids.length;
+    if (more && !listingId) listingId = saveListing(ids);
+    return {
+      total: ids.length,
+      markets: ids.slice(offset, offset + limit).map(id => marketRow(db.markets[id])),
+      nextCursor: more ? listingId + '.' + (offset + limit) : null
+    };
+  },
+  
+  'GET /api/markets/:id': (req) => {
+    const id = parseInt(req.params.id);
+    const m = db.markets[id];
+    if (!m) return { error: 'Market not found', status: 404 };
+    return { market: m };
+  },
+  
+  'POST /api/markets': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const error = validateMarketFields(body);
+    if (error) return { error, status: 400 };
+    const title = body.title.trim();
+    if (db.markets.some(m => !m.outcome && m.title.toLowerCase() === title.toLowerCase())) {
+      return { error: 'An open market with this title already exists', status: 409 };
+    }
+    
+    const market = createMarket({
+      title,
+      description: (body.description || '').trim(),
+      criteria: body.resolutionCriteria.trim(),
+      category: body.category,
+      outcomes: body.outcomes ? outcomeList(body.outcomes.map(o => o.trim())) : BINARY_OUTCOMES,
+      probability: body.probability,
+      probabilities: body.probabilities,
+      openAt: body.openAt,
+      closeAt: body.closeAt,
+      liquidity: body.liquidity || LIQUIDITY,
+      oracle: body.oracle,
+      createdBy: user.id
+    });
+    return { market, status: 201 };
+  },
+  
+  'PATCH /api/markets/:id': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (market.outcome) return { error: 'Market is resolved', status: 400 };
+    if (db.trades.some(t => t.marketId === market.id)) {
+      return { error: 'Market can only be edited before its first trade', status: 409 };
+    }
+    
+    const error = validateMarketFields(body, market);
+    if (error) return { error, status: 400 };
+    
+    if (body.title !== undefined) market.title = body.title.trim();
+    if (body.description !== undefined) market.description = body.description.trim();
+    if (body.resolutionCriteria !== undefined) market.criteria = body.resolutionCriteria.trim();
+    if (body.category !== undefined) {
+      const c = CATEGORIES.find(x => x.id === body.category);
+      Object.assign(market, { cat: c.id, catName: c.name, icon: c.icon, color: c.color });
+    }
+    if (body.openAt !== undefined) market.openAt = body.openAt;
+    if (body.closeAt !== undefined) market.closeAt = body.closeAt;
+    if (body.oracle !== undefined) setOracle(market, body.oracle, user);
+    if (body.liquidity !== undefined || body.probability !== undefined || body.probabilities !== undefined) {
+      const ids = market.outcomes.map(o => o.id);
+      let probs = body.probabilities || ids.map(id => lmsrPrice(market.q, market.liquidity, id) * 100);
+      if (body.probability !== undefined) probs = [body.probability, 100 - body.probability];
+      market.liquidity = body.liquidity || market.liquidity;
+      market.q = initialShares(ids, probs, market.liquidity);
+      syncPrices(market);
+    }
+    touch('markets', market.id);
+    updateStatus(market);
+    
+    return { market };
+  },
+  
+  'POST /api/markets/:id/halt': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    updateStatus(market);
+    if (market.halted) return { error: 'Market is already halted', status: 400 };
+    if (!['draft', 'open'].includes(market.status)) return { error: 'Market is ' + market.status, status: 400 };
+    if (body.reason !== undefined && (typeof body.reason !== 'string' || body.reason.length > 200)) {
+      return { error: 'Reason must be under 200 characters', status: 400 };
+    }
+    
+    setHalt(market, true, body.reason ? body.reason.trim() : null);
+    return { success: true, market: statusView(market) };
+  },
+  
+  'POST /api/markets/:id/resume': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (!market.halted) return { error: 'Market is not halted', status: 400 };
+    
+    setHalt(market, false);
+    return { success: true, market: statusView(market) };
+  },
+  
+  // Category-wide halts flag every draft or open market in the category
+  'POST /api/admin/halt': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const { category, reason } = body;
+    if (!CATEGORIES.some(c => c.id === category)) return { error: 'Invalid category', status: 400 };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return { error: 'Reason must be under 200 characters', status: 400 };
+    }
+    
+    const markets = db.markets.filter(m => m.cat === category && !m.halted && ['draft', 'open'].includes(m.status));
+    markets.forEach(m => setHalt(m, true, reason ? reason.trim() : null));
+    return { success: true, category, halted: markets.length };
+  },
+  
+  'POST /api/admin/resume': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const { category } = body;
+    if (!CATEGORIES.some(c => c.id === category)) return { error: 'Invalid category', status: 400 };
+    
+    const markets = db.markets.filter(m => m.cat === category && m.halted);
+    markets.forEach(m => setHalt(m, false));
+    return { success: true, category, resumed: markets.length };
+  },
+  
+  'POST /api/admin/mute': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const { username, muted, reason } = body;
+    if (typeof muted !== 'boolean') return { error: 'muted must be true or false', status: 400 };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return { error: 'Reason must be under 200 characters', status: 400 };
+    }
+    const target = [...db.users.values()].find(u => u.username === username);
+    if (!target) return { error: 'User not found', status: 404 };
+    if (isAdmin(target)) return { error: 'Admins cannot be muted', status: 400 };
+    
+    target.muted = muted ? { reason: reason ? reason.trim() : null, by: user.id, at: Date.now() } : null;
+    touch('users', target.id);
+    return { success: true, username, muted };
+  },
+  
+  'POST /api/admin/roles': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const { username, role } = body;
+    if (!['admin', 'user'].includes(role)) return { error: 'Invalid role', status: 400 };
+    const target = [...db.users.values()].find(u => u.username === username);
+    if (!target) return { error: 'User not found', status: 404 };
+    if (target.id === user.id && role !== 'admin') return { error: 'Cannot demote yourself', status: 400 };
+    
+    target.role = role;
+    touch('users', target.id);
+    return { success: true, username, role };
+  },
+  
+  'GET /api/fees': () => {
+    const fees = {};
+    CATEGORIES.forEach(c => fees[c.id] = feeSchedule(c.id));
+    return { default: { taker: TAKER_FEE_BPS, maker: MAKER_FEE_BPS }, fees };
+  },
+  
+  // Rates are in basis points; omitting one keeps the category's current rate
+  'PUT /api/admin/fees': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const { category, taker, maker } = body;
+    if (!CATEGORIES.some(c => c.id === category)) return { error: 'Invalid category', status: 400 };
+    const current = feeSchedule(category);
+    db.fees.set(category, { taker: taker ?? current.taker, maker: maker ?? current.maker });
+    touch('fees', category);
+    return { success: true, category, fees: feeSchedule(category) };
+  },
+  
+  'GET /api/admin/reconciliation': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    return reconcileBooks();
+  },
+  
+  'POST /api/trade': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    // `side` is the outcome id; binary markets have YES and NO
+    const { marketId, amount } = body;
+    const side = body.outcome || body.side;
+    if (amount <= 0 || amount > user.balance) return { error: 'Invalid amount', status: 400 };
+    
+    const market = db.markets[marketId];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (!hasOutcome(market, side)) return { error: 'Invalid outcome', status: 400 };
+    const closed = tradingError(market);
+    if (closed) return { error: closed, status: 400 };
+    
+    const quote = buyQuote(market, side, amount);
+    if (quote.shares < 1) return { error: 'Amount too small to buy a share', status: 400 };
+    const { shares, amount: cost, avgPrice: price, fee } = quote;
+    
+    applyFill(market, side, shares);
+    market.vol += cost;
+    market.users++;
+    touch('markets', market.id);
+    
+    addPosition(user, market, side, shares, price);
+    const trade = recordTrade(user, market, side, shares, price, cost, { fee });
+    postLedger(user, 'trade', -cost, 'trade:' + trade.id);
+    collectFee(user, fee, 'trade:' + trade.id);
+    publishAccount(user.id);
+    
+    return { success: true, balance: user.balance, shares, cost, fee, total: quote.total, avgPrice: price, newPrice: quote.newPrice };
+  },
+  
+  'GET /api/trades': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const filter = tradeFilter(url);
+    if (filter.error) return { error: filter.error, status: 400 };
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 500);
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    
+    const trades = db.trades.filter(t => t.userId === user.id && filter.match(t)).reverse();
+    return { total: trades.length, trades: trades.slice(offset, offset + limit).map(tradeRow) };
+  },
+  
+  'GET /api/trades/export': async (req, body, res) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const format = url.searchParams.get('format') || 'csv';
+    if (!['csv', 'ndjson'].includes(format)) return { error: 'Format must be csv or ndjson', status: 400 };
+    const filter = tradeFilter(url);
+    if (filter.error) return { error: filter.error, status: 400 };
+    
+    const trades = db.trades.filter(t => t.userId === user.id && filter.match(t));
+    res.writeHead(200, {
+      'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+      'Content-Disposition': 'attachment; filename="predictx-trades.' + format + '"'
+    });
+    if (format === 'csv') res.write(TRADE_COLUMNS.join(',') + '\n');
+    
+    for (const t of trades) {
+      const row = tradeRow(t);
+      const line = format === 'csv' ? TRADE_COLUMNS.map(c => csvCell(row[c])).join(',') + '\n' : JSON.stringify(row) + '\n';
+      if (!res.write(line)) await new Promise(resolve => res.once('drain', resolve));
+    }
+    res.end();
+  },
+  
+  'GET /api/markets/:id/trades': (req) => {
+    const id = parseInt(req.params.id);
+    if (!db.markets[id]) return { error: 'Market not found', status: 404 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 500);
+    const tape = [];
+    for (let i = db.trades.length - 1; i >= 0 && tape.length < limit; i--) {
+      const t = db.trades[i];
+      if (t.marketId === id) tape.push({ type: t.type, side: t.side, shares: t.shares, price: t.price, amount: t.amount, timestamp: t.timestamp });
+    }
+    return { marketId: id, trades: tape };
+  },
+  
+  'GET /api/markets/:id/candles': (req) => {
+    const id = parseInt(req.params.id);
+    const market = db.markets[id];
+    if (!market) return { error: 'Market not found', status: 404 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const outcome = url.searchParams.get('outcome') || market.outcomes[0].id;
+    if (!hasOutcome(market, outcome)) return { error: 'Invalid outcome', status: 400 };
+    const resolution = url.searchParams.get('resolution') || '1h';
+    if (!RESOLUTIONS[resolution]) return { error: 'Resolution must be one of ' + Object.keys(RESOLUTIONS).join(', '), status: 400 };
+    const from = url.searchParams.get('from') ? parseTime(url.searchParams.get('from')) : 0;
+    const to = url.searchParams.get('to') ? parseTime(url.searchParams.get('to')) : Date.now();
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) return { error: 'Invalid date range', status: 400 };
+    
+    // Binary markets only chart YES; NO is its mirror image
+    const mirror = market.type === 'binary' && outcome === 'NO';
+    const series = db.series.get(seriesKey(market, mirror ? 'YES' : outcome));
+    const candles = (series ? series[resolution] : []).filter(c => c[0] >= from - RESOLUTIONS[resolution].ms && c[0] <= to);
+    return {
+      marketId: id,
+      outcome,
+      resolution,
+      candles: downsample(candles).map(([t, o, h, l, c, v]) => mirror
+        ? { t, o: cents(100 - o), h: cents(100 - l), l: cents(100 - h), c: cents(100 - c), v: cents(v) }
+        : { t, o, h, l, c, v: cents(v) })
+    };
+  },
+  
+  'GET /api/trade/quote': (req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const market = db.markets[parseInt(url.searchParams.get('marketId'))];
+    const side = url.searchParams.get('outcome') || url.searchParams.get('side');
+    const amount = parseFloat(url.searchParams.get('amount'));
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (!hasOutcome(market, side)) return { error: 'Invalid outcome', status: 400 };
+    if (!(amount > 0)) return { error: 'Invalid amount', status: 400 };
+    const closed = tradingError(market);
+    if (closed) return { error: closed, status: 400 };
+    
+    return { quote: buyQuote(market, side, amount) };
+  },
+  
+  'GET /api/sell/quote': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const shares = url.searchParams.has('shares') ? Number(url.searchParams.get('shares')) : undefined;
+    const result = quotePositionSale(user, url.searchParams.get('positionId'), shares);
+    if (result.error) return result;
+    
+    return { quote: result.quote };
+  },
+  
+  'POST /api/sell': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    return executeSale(user, body.positionId, body.shares);
+  },
+  
+  'POST /api/markets/:id/resolve': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (market.outcome) return { error: 'Market already resolved', status: 400 };
+    
+    const { outcome } = body;
+    if (outcome !== 'INVALID' && !hasOutcome(market, outcome)) return { error: 'Invalid outcome', status: 400 };
+    
+    // Resolving by hand during an oracle's dispute window overrides its proposal
+    const { proposal } = market;
+    if (proposal) {
+      proposal.status = outcome === proposal.outcome ? 'confirmed' : 'overridden';
+      proposal.reviewedBy = user.id;
+    }
+    const { settled, paid, result } = settleMarket(market, outcome, user.id);
+    return { success: true, marketId: market.id, outcome, settled, paid, result, proposal };
+  },
+  
+  // { oracle: { url, path, comparator, threshold } } or { oracle: null };
+  // unlike PATCH this works after trading has started
+  'PUT /api/markets/:id/oracle': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (market.outcome) return { error: 'Market is resolved', status: 400 };
+    if (body.oracle !== null) {
+      const error = oracleError(body.oracle, market.type === 'binary');
+      if (error) return { error, status: 400 };
+    }
+    
+    setOracle(market, body.oracle, user);
+    return { success: true, marketId: market.id, oracle: market.oracle, evidence: market.evidence };
+  },
+  
+  // Fetches the oracle now without resolving anything, to check its setup
+  'POST /api/markets/:id/oracle/check': async (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (!market.oracle) return { error: 'Market has no oracle', status: 400 };
+    
+    return { marketId: market.id, oracle: market.oracle, evidence: await fetchOracle(market.oracle) };
+  },
+  
+  'GET /api/orders': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const orders = [...db.orders.values()].filter(o => o.userId === user.id && o.status === 'open');
+    return { orders: orders.map(orderView) };
+  },
+  
+  'POST /api/orders': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const { marketId, side, price, quantity } = body;
+    if (!['YES', 'NO'].includes(side)) return { error: 'Invalid side', status: 400 };
+    if (!Number.isInteger(price) || price < 1 || price > 99) return { error: 'Price must be 1-99 cents', status: 400 };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: 'Invalid quantity', status: 400 };
+    
+    const market = db.markets[marketId];
+    if (!market) return { error: 'Market not found', status: 404 };
+    if (market.type !== 'binary') return { error: 'Limit orders are only available on binary markets', status: 400 };
+    const closed = tradingError(market);
+    if (closed) return { error: closed, status: 400 };
+    
+    // The hold covers the fee at the higher of the two rates; fills release
+    // whatever the actual fee leaves over
+    const fees = feeRates(market);
+    const hold = cents(quantity * price / 100 * (1 + Math.max(fees.taker, fees.maker)));
+    if (hold > user.balance) return { error: 'Insufficient balance', status: 400 };
+    
+    const order = {
+      id: nextId('order'),
+      userId: user.id,
+      marketId: market.id,
+      side,
+      price,
+      quantity,
+      filled: 0,
+      held: hold,
+      fees,
+      status: 'open',
+      createdAt: Date.now()
+    };
+    db.orders.set(order.id, order);
+    postLedger(user, 'order_hold', -hold, 'order:' + order.id);
+    touch('orders', order.id);
+    const fills = matchOrder(order, market);
+    publishAccount(user.id);
+    
+    return { success: true, order: orderView(order), fills, balance: user.balance };
+  },
+  
+  'DELETE /api/orders/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const order = db.orders.get(parseInt(req.params.id));
+    if (!order || order.userId !== user.id) return { error: 'Order not found', status: 404 };
+    if (order.status !== 'open') return { error: 'Order is ' + order.status, status: 400 };
+    
+    const refund = cancelOrder(order);
+    publishAccount(user.id);
+    return { success: true, order: orderView(order), refund, balance: user.balance };
+  },
+  
+  'GET /api/markets/:id/book': (req) => {
     const id = parseInt(req.params.id);
-    const m = db.markets[id];
-    if (!m) return { error: 'Market not found', status: 404 };
-    return { market: m };
+    if (!db.markets[id]) return { error: 'Market not found', status: 404 };
+    return { marketId: id, yes: depth(bookSide(id, 'YES')), no: depth(bookSide(id, 'NO')) };
   },
   
-  'POST /api/trade': (req, body) => {
+  'GET /api/stream': (req, body, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const session = req.headers.authorization ? (getUser(req) && req.session) : verifyToken(url.searchParams.get('token'));
+    const user = session ? db.users.get(session.userId) : null;
+    const lastId = parseInt(req.headers['last-event-id'] || url.searchParams.get('lastEventId')) || 0;
+    
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    // The id is the only credential for changing the subscription, so it can't be guessable
+    const client = { id: crypto.randomUUID(), res, user, session, markets: parseMarketIds(url.searchParams.get('markets')) };
+    res.write('retry: 2000\n\n');
+    
+    // Resume from the backlog, or tell the client to refetch if it fell too far behind
+    if (lastId > stream.seq || (lastId && stream.backlog.length && stream.backlog[0].id > lastId + 1)) {
+      res.write('id: ' + stream.seq + '\nevent: reset\ndata: {}\n\n');
+    } else if (lastId) {
+      stream.backlog.filter(e => e.id > lastId).forEach(e => sendEvent(client, e));
+    }
+    res.write('event: hello\ndata: ' + JSON.stringify({ clientId: client.id }) + '\n\n');
+    
+    stream.clients.add(client);
+    req.on('close', () => stream.clients.delete(client));
+  },
+  
+  'POST /api/stream/subscribe': (req, body) => {
+    const client = [...stream.clients].find(c => c.id === body.clientId);
+    if (!client) return { error: 'Stream not found', status: 404 };
+    client.markets = parseMarketIds(Array.isArray(body.markets) ? body.markets.join(',') : body.markets);
+    return { success: true, markets: client.markets ? [...client.markets] : 'all' };
+  },
+  
+  'GET /api/portfolio': (req) => {
     const user = getUser(req);
     if (!user) return { error: 'Unauthorized', status: 401 };
     
-    const { marketId, side, amount } = body;
-    if (!['YES', 'NO'].includes(side)) return { error: 'Invalid side', status: 400 };
-    if (amount <= 0 || amount > user.balance) return { error: 'Invalid amount', status: 400 };
+    const url = new URL(req.url, 'http://localhost');
+    const from = url.searchParams.get('from') ? parseTime(url.searchParams.get('from')) : 0;
+    if (Number.isNaN(from)) return { error: 'Invalid date range', status: 400 };
+    
+    const result = portfolio(user);
+    const samples = (db.equity.get(user.id) || []).filter(([t]) => t >= from);
+    result.equityCurve = samples.map(([t, equity]) => ({ t, equity })).concat({ t: Date.now(), equity: result.equity });
+    return result;
+  },
+  
+  'POST /api/wallet/deposit': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const { amount } = body;
+    if (!Number.isFinite(amount) || cents(amount) !== amount) return { error: 'Invalid amount', status: 400 };
+    if (amount < WALLET_LIMITS.minDeposit || amount > WALLET_LIMITS.maxDeposit) {
+      return { error: 'Deposits must be between $' + WALLET_LIMITS.minDeposit + ' and $' + WALLET_LIMITS.maxDeposit, status: 400 };
+    }
+    
+    const entry = postLedger(user, 'deposit', amount);
+    publishAccount(user.id);
+    return { success: true, balance: user.balance, transaction: entry };
+  },
+  
+  'POST /api/wallet/withdraw': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const { amount } = body;
+    if (!Number.isFinite(amount) || cents(amount) !== amount) return { error: 'Invalid amount', status: 400 };
+    if (amount < WALLET_LIMITS.minWithdrawal) return { error: 'Minimum withdrawal is $' + WALLET_LIMITS.minWithdrawal, status: 400 };
+    if (amount > user.balance) return { error: 'Insufficient balance', status: 400 };
+    
+    const since = Date.now() - DAY;
+    const withdrawnToday = -db.ledger.reduce((a, e) => e.userId === user.id && e.type === 'withdrawal' && e.timestamp > since ? a + e.amount : a, 0);
+    if (withdrawnToday + amount > WALLET_LIMITS.dailyWithdrawal) {
+      return { error: 'Daily withdrawal limit is $' + WALLET_LIMITS.dailyWithdrawal + ' ($' + cents(WALLET_LIMITS.dailyWithdrawal - withdrawnToday) + ' left today)', status: 400 };
+    }
+    
+    const entry = postLedger(user, 'withdrawal', -amount);
+    publishAccount(user.id);
+    return { success: true, balance: user.balance, transaction: entry };
+  },
+  
+  'GET /api/wallet/transactions': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const url = new URL(req.url, 'http://localhost');
+    const type = url.searchParams.get('type');
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 20, 100);
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    if (type && !LEDGER_TYPES.includes(type)) return { error: 'Invalid type', status: 400 };
+    
+    const entries = db.ledger.filter(e => e.userId === user.id && (!type || e.type === type)).reverse();
+    return {
+      total: entries.length,
+      balance: user.balance,
+      ledgerBalance: ledgerBalance(user.id),
+      transactions: entries.slice(offset, offset + limit)
+    };
+  },
+  
+  'GET /api/leaderboard': (req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const period = url.searchParams.get('period') || 'all';
+    const metric = url.searchParams.get('metric') || 'roi';
+    if (!PERIODS[period]) return { error: 'Period must be one of ' + Object.keys(PERIODS).join(', '), status: 400 };
+    if (!LEADERBOARD_METRICS.includes(metric)) return { error: 'Metric must be one of ' + LEADERBOARD_METRICS.join(', '), status: 400 };
+    
+    // Only accounts with something to score are ranked on each metric
+    let rows = performance(period);
+    if (metric === 'brier') rows = rows.filter(r => r.forecasts > 0).sort((a, b) => a.brier - b.brier || b.forecasts - a.forecasts);
+    else if (metric === 'roi') rows = rows.filter(r => r.deployed > 0).sort((a, b) => b.roi - a.roi);
+    else rows = rows.filter(r => r.trades > 0 || r.profit !== 0).sort((a, b) => b.profit - a.profit);
+    
+    return { period, metric, leaderboard: rows.slice(0, 100).map((r, i) => ({ rank: i + 1, ...r })) };
+  },
+  
+  'GET /api/users/:username': (req) => {
+    const target = [...db.users.values()].find(u => u.username === req.params.username);
+    if (!target) return { error: 'User not found', status: 404 };
+    
+    const stats = {};
+    Object.keys(PERIODS).forEach(period => {
+      const { username, ...rest } = performance(period, [target])[0];
+      stats[period] = rest;
+    });
+    return {
+      user: { username: target.username, joined: target.created, openPositions: (db.positions.get(target.id) || []).length },
+      stats
+    };
+  },
+  
+  'GET /api/markets/:id/comments': (req) => {
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    const sort = new URL(req.url, 'http://localhost').searchParams.get('sort') || 'top';
+    if (!['top', 'new'].includes(sort)) return { error: 'Sort must be top or new', status: 400 };
+    
+    const viewer = getUser(req);
+    const comments = commentThread(market.id, viewer, sort);
+    return { comments, muted: !!(viewer && viewer.muted) };
+  },
+  
+  'POST /api/markets/:id/comments': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (user.muted) return { error: 'You have been muted' + (user.muted.reason ? ': ' + user.muted.reason : ''), status: 403 };
+    
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    const { text, error } = commentText(body.body);
+    if (error) return { error, status: 400 };
+    
+    let depth = 0;
+    if (body.parentId !== undefined && body.parentId !== null) {
+      const parent = db.comments.get(body.parentId);
+      if (!parent || parent.marketId !== market.id || parent.deleted) return { error: 'Parent comment not found', status: 404 };
+      if (parent.depth + 1 >= MAX_COMMENT_DEPTH) return { error: 'Thread is too deep to reply to', status: 400 };
+      depth = parent.depth + 1;
+    }
+    
+    const comment = {
+      id: nextId('comment'), marketId: market.id, userId: user.id, parentId: depth ? body.parentId : null, depth,
+      body: text, createdAt: Date.now(), editedAt: null, deleted: false,
+      hidden: false, hiddenReason: null, upvotes: [], reports: [], flagged: false
+    };
+    db.comments.set(comment.id, comment);
+    touch('comments', comment.id);
+    publishComment(comment);
+    return { success: true, comment: commentView(comment, user) };
+  },
+  
+  'PATCH /api/comments/:id': (req, body) => {
+    const { user, comment, error, status } = commentAction(req, { own: true });
+    if (error) return { error, status };
+    if (user.muted) return { error: 'You have been muted', status: 403 };
+    if (comment.hidden) return { error: 'Hidden comments cannot be edited', status: 400 };
+    const { text, error: invalid } = commentText(body.body);
+    if (invalid) return { error: invalid, status: 400 };
+    
+    comment.body = text;
+    comment.editedAt = Date.now();
+    touch('comments', comment.id, ['body', 'editedAt']);
+    publishComment(comment);
+    return { success: true, comment: commentView(comment, user) };
+  },
+  
+  // Authors delete their own comments; admins can delete anyone's
+  'DELETE /api/comments/:id': (req) => {
+    const { user, comment, error, status } = commentAction(req);
+    if (error) return { error, status };
+    if (comment.userId !== user.id && !isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    if (comment.deleted) return { error: 'Comment already deleted', status: 400 };
+    
+    comment.deleted = true;
+    comment.body = null;
+    comment.flagged = false;
+    touch('comments', comment.id, ['deleted', 'body', 'flagged']);
+    publishComment(comment);
+    return { success: true };
+  },
+  
+  // Toggles the caller's upvote
+  'POST /api/comments/:id/upvote': (req) => {
+    const { user, comment, error, status } = commentAction(req);
+    if (error) return { error, status };
+    
+    const i = comment.upvotes.indexOf(user.id);
+    if (i >= 0) comment.upvotes.splice(i, 1);
+    else comment.upvotes.push(user.id);
+    touch('comments', comment.id, ['upvotes']);
+    return { success: true, upvotes: comment.upvotes.length, upvoted: i < 0 };
+  },
+  
+  'POST /api/comments/:id/report': (req, body) => {
+    const { user, comment, error, status } = commentAction(req);
+    if (error) return { error, status };
+    if (comment.userId === user.id) return { error: 'You cannot report your own comment', status: 400 };
+    if (comment.reports.some(r => r.userId === user.id)) return { error: 'You already reported this comment', status: 400 };
+    if (typeof body.reason !== 'string' || !body.reason.trim() || body.reason.length > 200) {
+      return { error: 'Give a reason under 200 characters', status: 400 };
+    }
+    
+    comment.reports.push({ userId: user.id, reason: body.reason.trim(), at: Date.now() });
+    comment.flagged = true;
+    touch('comments', comment.id, ['reports', 'flagged']);
+    return { success: true };
+  },
+  
+  // Admins hide or restore a comment, or dismiss its reports; any of them
+  // clears it from the queue
+  'POST /api/comments/:id/moderate': (req, body) => {
+    const { user, comment, error, status } = commentAction(req);
+    if (error) return { error, status };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    const { action, reason } = body;
+    if (!['hide', 'unhide', 'dismiss'].includes(action)) return { error: 'Action must be hide, unhide or dismiss', status: 400 };
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return { error: 'Reason must be under 200 characters', status: 400 };
+    }
+    
+    if (action !== 'dismiss') {
+      comment.hidden = action === 'hide';
+      comment.hiddenReason = comment.hidden && reason ? reason.trim() : null;
+    }
+    comment.flagged = false;
+    touch('comments', comment.id, ['hidden', 'hiddenReason', 'flagged']);
+    publishComment(comment);
+    return { success: true, comment: commentView(comment, user) };
+  },
+  
+  'GET /api/admin/comments': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    if (!isAdmin(user)) return { error: 'Forbidden', status: 403 };
+    
+    const flagged = [...db.comments.values()].filter(c => c.flagged).sort((a, b) => b.reports.length - a.reports.length || a.id - b.id);
+    return {
+      comments: flagged.map(c => ({
+        ...commentView(c, user), marketId: c.marketId, market: db.markets[c.marketId].title,
+        reasons: c.reports.map(r => r.reason)
+      }))
+    };
+  },
+  
+  'GET /api/watchlist': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const ids = db.watchlists.get(user.id) || [];
+    return { markets: ids.map(id => marketRow(db.markets[id])) };
+  },
+  
+  'PUT /api/watchlist/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const market = db.markets[parseInt(req.params.id)];
+    if (!market) return { error: 'Market not found', status: 404 };
+    
+    const ids = db.watchlists.get(user.id) || [];
+    if (!ids.includes(market.id)) {
+      if (ids.length >= MAX_WATCHLIST) return { error: 'Watchlist is limited to ' + MAX_WATCHLIST + ' markets', status: 400 };
+      db.watchlists.set(user.id, [...ids, market.id]);
+      touch('watchlists', user.id);
+    }
+    return { success: true, watching: db.watchlists.get(user.id) };
+  },
+  
+  'DELETE /api/watchlist/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const marketId = parseInt(req.params.id);
+    const ids = db.watchlists.get(user.id) || [];
+    if (!ids.includes(marketId)) return { error: 'Market is not on your watchlist', status: 404 };
+    
+    db.watchlists.set(user.id, ids.filter(id => id !== marketId));
+    touch('watchlists', user.id);
+    return { success: true, watching: db.watchlists.get(user.id) };
+  },
+  
+  'GET /api/alerts': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const marketId = new URL(req.url, 'http://localhost').searchParams.get('marketId');
+    const alerts = [...db.alerts.values()]
+      .filter(a => a.userId === user.id && (marketId === null || a.marketId === parseInt(marketId)))
+      .sort((a, b) => b.active - a.active || b.createdAt - a.createdAt);
+    return { alerts: alerts.map(alertView) };
+  },
+  
+  // { marketId, outcome, kind: 'cross', price, direction? } or
+  // { marketId, outcome, kind: 'move', points, window? (minutes) }
+  'POST /api/alerts': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
     
+    const { marketId, kind, price, points, window = 60 } = body;
     const market = db.markets[marketId];
     if (!market) return { error: 'Market not found', status: 404 };
+    if (market.outcome) return { error: 'Market is already resolved', status: 400 };
+    const outcome = body.outcome || market.outcomes[0].id;
+    if (!hasOutcome(market, outcome)) return { error: 'Invalid outcome', status: 400 };
+    if (!ALERT_KINDS.includes(kind)) return { error: 'Kind must be cross or move', status: 400 };
+    if ([...db.alerts.values()].filter(a => a.userId === user.id && a.active).length >= MAX_ALERTS) {
+      return { error: 'You can have at most ' + MAX_ALERTS + ' active alerts', status: 400 };
+    }
     
-    const price = side === 'YES' ? market.yes : market.no;
-    const shares = Math.floor(amount / (price / 100));
+    const alert = {
+      id: 0, userId: user.id, marketId: market.id, outcome, kind, price: null, direction: null, points: null, window: null,
+      active: true, triggers: 0, triggeredAt: null, createdAt: Date.now()
+    };
+    if (kind === 'cross') {
+      if (!Number.isInteger(price) || price < 1 || price > 99) return { error: 'Price must be a whole number of cents from 1 to 99', status: 400 };
+      const current = market.prices[outcome];
+      const direction = body.direction || (current < price ? 'above' : current > price ? 'below' : null);
+      if (!['above', 'below'].includes(direction)) return { error: 'Price is already at ' + price + '¢', status: 400 };
+      Object.assign(alert, { price, direction });
+    } else {
+      if (!(points >= 1 && points <= 99)) return { error: 'Points must be 1-99', status: 400 };
+      if (!Number.isInteger(window) || window < 5 || window > 360) return { error: 'Window must be 5-360 minutes', status: 400 };
+      Object.assign(alert, { points, window });
+    }
     
-    user.balance -= amount;
-    market.vol += amount;
-    market.users++;
+    alert.id = nextId('alert');
+    db.alerts.set(alert.id, alert);
+    touch('alerts', alert.id);
+    indexAlert(alert);
+    return { success: true, alert: alertView(alert) };
+  },
+  
+  'DELETE /api/alerts/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const alert = db.alerts.get(parseInt(req.params.id));
+    if (!alert || alert.userId !== user.id) return { error: 'Alert not found', status: 404 };
     
-    const positions = db.positions.get(user.id) || [];
-    const existing = positions.find(p => p.marketId === marketId && p.side === side);
+    unindexAlert(alert);
+    db.alerts.delete(alert.id);
+    touch('alerts', alert.id);
+    return { success: true };
+  },
+  
+  'GET /api/triggers': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const url = new URL(req.url, 'http://localhost');
+    const positionId = url.searchParams.get('positionId');
+    const all = url.searchParams.get('status') === 'all';
+    const triggers = [...db.triggers.values()]
+      .filter(t => t.userId === user.id && (all || t.status === 'open') && (!positionId || t.positionId === positionId))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return { triggers: triggers.map(triggerView) };
+  },
+  
+  // { positionId, type: 'stop_loss' | 'take_profit', price, shares? } or
+  // { positionId, type: 'trailing_stop', trail, shares? }; without shares
+  // the whole position is sold
+  'POST /api/triggers': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const { positionId, type, price, trail, shares = null } = body;
+    const pos = (db.positions.get(user.id) || []).find(p => p.id === positionId);
+    if (!pos) return { error: 'Position not found', status: 404 };
+    const market = db.markets[pos.marketId];
+    const closed = tradingError(market);
+    if (closed) return { error: closed, status: 400 };
+    if (!TRIGGER_TYPES.includes(type)) return { error: 'Type must be one of ' + TRIGGER_TYPES.join(', '), status: 400 };
+    if (shares !== null && (!Number.isInteger(shares) || shares < 1 || shares > pos.shares)) {
+      return { error: 'Shares must be a whole number between 1 and ' + pos.shares, status: 400 };
+    }
+    if ([...db.triggers.values()].filter(t => t.positionId === pos.id && t.status === 'open').length >= MAX_TRIGGERS) {
+      return { error: 'A position can have at most ' + MAX_TRIGGERS + ' open triggers', status: 400 };
+    }
     
-    if (existing) {
-      const totalShares = existing.shares + shares;
-      existing.avg = ((existing.avg * existing.shares) + (price * shares)) / totalShares;
-      existing.shares = totalShares;
+    const current = markPrice(market, pos.side);
+    const trigger = {
+      id: 0, userId: user.id, positionId: pos.id, marketId: market.id, side: pos.side, type, price: null, trail: null, peak: null,
+      shares, status: 'open', result: null, createdAt: Date.now(), closedAt: null
+    };
+    if (type === 'trailing_stop') {
+      if (!Number.isInteger(trail) || trail < 1 || trail >= current) return { error: 'Trail must be a whole number of cents below the current ' + current + '¢', status: 400 };
+      Object.assign(trigger, { trail, peak: current });
     } else {
-      positions.push({
-        id: crypto.randomUUID(),
-        marketId,
-        title: market.title.substring(0, 40),
-        side,
-        shares,
-        avg: price,
-        openedAt: Date.now()
-      });
+      if (!Number.isInteger(price) || price < 1 || price > 99) return { error: 'Price must be a whole number of cents from 1 to 99', status: 400 };
+      if (type === 'stop_loss' && price >= current) return { error: 'Stop price must be below the current ' + current + '¢', status: 400 };
+      if (type === 'take_profit' && price <= current) return { error: 'Take-profit price must be above the current ' + current + '¢', status: 400 };
+      trigger.price = price;
     }
     
-    db.trades.push({
-      id: crypto.randomUUID(),
-      oderId: user.id,
-      marketId,
-      side,
-      shares,
-      price,
-      amount,
-      timestamp: Date.now()
-    });
+    trigger.id = nextId('trigger');
+    db.triggers.set(trigger.id, trigger);
+    touch('triggers', trigger.id);
+    indexTrigger(trigger);
+    return { success: true, trigger: triggerView(trigger) };
+  },
+  
+  'DELETE /api/triggers/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const trigger = db.triggers.get(parseInt(req.params.id));
+    if (!trigger || trigger.userId !== user.id) return { error: 'Trigger not found', status: 404 };
+    if (trigger.status !== 'open') return { error: 'Trigger is ' + trigger.status, status: 400 };
     
-    return { success: true, balance: user.balance, shares };
+    closeTrigger(trigger, 'cancelled');
+    return { success: true, trigger: triggerView(trigger) };
   },
   
-  'POST /api/sell': (req, body) => {
+  'GET /api/notifications': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const onlyUnread = new URL(req.url, 'http://localhost').searchParams.get('unread') === '1';
+    const inbox = db.notifications.get(user.id) || [];
+    return {
+      unread: inbox.filter(n => !n.read).length,
+      notifications: onlyUnread ? inbox.filter(n => !n.read) : inbox
+    };
+  },
+  
+  // Marks the given notification ids read, or the whole inbox without ids
+  'POST /api/notifications/read': (req, body) => {
     const user = getUser(req);
     if (!user) return { error: 'Unauthorized', status: 401 };
+    if (body.ids !== undefined && !Array.isArray(body.ids)) return { error: 'ids must be an array', status: 400 };
     
-    const { positionId } = body;
-    const positions = db.positions.get(user.id) || [];
-    const idx = positions.findIndex(p => p.id === positionId);
-    if (idx === -1) return { error: 'Position not found', status: 404 };
+    const inbox = db.notifications.get(user.id) || [];
+    let marked = 0;
+    inbox.forEach(n => {
+      if (n.read || (body.ids && !body.ids.includes(n.id))) return;
+      n.read = true;
+      marked++;
+    });
+    if (marked) touch('notifications', user.id);
+    return { success: true, marked, unread: inbox.filter(n => !n.read).length };
+  },
+  
+  'GET /api/webhooks': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const hooks = [...db.webhooks.values()].filter(h => h.userId === user.id);
+    return { events: WEBHOOK_EVENTS, webhooks: hooks.map(webhookView) };
+  },
+  
+  // The signing secret is only ever returned here, when the endpoint is created
+  'POST /api/webhooks': async (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
     
-    const pos = positions[idx];
-    const market = db.markets[pos.marketId];
-    const currentPrice = pos.side === 'YES' ? market.yes : market.no;
-    const payout = pos.shares * (currentPrice / 100);
+    const url = httpUrl(body.url);
+    if (!url) return { error: 'URL must be http or https', status: 400 };
+    const blocked = await webhookTargetError(url, user);
+    if (blocked) return { error: blocked, status: 400 };
+    const invalid = validateEvents(body.events);
+    if (invalid) return { error: invalid, status: 400 };
+    if ([...db.webhooks.values()].filter(h => h.userId === user.id).length >= MAX_WEBHOOKS) {
+      return { error: 'You can register at most ' + MAX_WEBHOOKS + ' webhooks', status: 400 };
+    }
     
-    user.balance += payout;
-    if (currentPrice > pos.avg) user.wins++;
-    else user.losses++;
+    const hook = {
+      id: nextId('webhook'), userId: user.id, url, events: [...new Set(body.events)],
+      secret: 'whsec_' + crypto.randomBytes(24).toString('base64url'), active: true, failing: false, createdAt: Date.now()
+    };
+    db.webhooks.set(hook.id, hook);
+    touch('webhooks', hook.id);
+    return { success: true, webhook: webhookView(hook), secret: hook.secret };
+  },
+  
+  'PATCH /api/webhooks/:id': async (req, body) => {
+    const { hook, error, status } = ownWebhook(req);
+    if (error) return { error, status };
     
-    positions.splice(idx, 1);
+    if (body.url !== undefined) {
+      const url = httpUrl(body.url);
+      if (!url) return { error: 'URL must be http or https', status: 400 };
+      const blocked = await webhookTargetError(url, getUser(req));
+      if (blocked) return { error: blocked, status: 400 };
+      hook.url = url;
+    }
+    if (body.events !== undefined) {
+      const invalid = validateEvents(body.events);
+      if (invalid) return { error: invalid, status: 400 };
+      hook.events = [...new Set(body.events)];
+    }
+    if (body.active !== undefined) {
+      if (typeof body.active !== 'boolean') return { error: 'active must be true or false', status: 400 };
+      hook.active = body.active;
+    }
+    touch('webhooks', hook.id);
+    return { success: true, webhook: webhookView(hook) };
+  },
+  
+  'DELETE /api/webhooks/:id': (req) => {
+    const { hook, error, status } = ownWebhook(req);
+    if (error) return { error, status };
     
-    return { success: true, balance: user.balance, payout };
+    db.webhooks.delete(hook.id);
+    touch('webhooks', hook.id);
+    db.deliveries.forEach(d => {
+      if (d.webhookId !== hook.id) return;
+      db.deliveries.delete(d.id);
+      touch('deliveries', d.id);
+    });
+    return { success: true };
   },
   
-  'GET /api/leaderboard': () => {
-    const users = [...db.users.values()]
-      .map(u => ({
-        username: u.username,
-        balance: u.balance + (db.positions.get(u.id) || []).reduce((a, p) => {
-          const m = db.markets[p.marketId];
-          return a + p.shares * ((p.side === 'YES' ? m.yes : m.no) / 100);
-        }, 0),
-        wins: u.wins,
-        winRate: u.wins + u.losses > 0 ? Math.round(u.wins / (u.wins + u.losses) * 100) : 0
-      }))
-      .sort((a, b) => b.balance - a.balance)
-      .slice(0, 100);
+  'GET /api/webhooks/:id/deliveries': (req) => {
+    const { hook, error, status } = ownWebhook(req);
+    if (error) return { error, status };
+    const deliveries = [...db.deliveries.values()].filter(d => d.webhookId === hook.id).sort((a, b) => b.id - a.id);
+    return { deliveries: deliveries.map(deliveryView) };
+  },
+  
+  // Queues a `ping` so a receiver can be checked without waiting for activity
+  'POST /api/webhooks/:id/test': (req) => {
+    const { hook, error, status } = ownWebhook(req);
+    if (error) return { error, status };
+    const body = JSON.stringify({ id: crypto.randomUUID(), event: 'ping', createdAt: Date.now(), data: { webhookId: hook.id } });
+    return { success: true, delivery: deliveryView(enqueueDelivery(hook, 'ping', body)) };
+  },
+  
+  'GET /api/keys': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const keys = [...db.apiKeys.values()].filter(k => k.userId === user.id && !k.revokedAt);
+    return { scopes: KEY_SCOPES, keys: keys.map(apiKeyView) };
+  },
+  
+  // The secret is returned once, here; only the key id is shown afterwards
+  'POST /api/keys': (req, body) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    
+    const { name, scopes, rateLimit = DEFAULT_KEY_RATE } = body;
+    if (typeof name !== 'string' || !name.trim() || name.length > 40) return { error: 'Name must be 1-40 characters', status: 400 };
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(sc => !KEY_SCOPES.includes(sc))) {
+      return { error: 'Scopes must be a list drawn from ' + KEY_SCOPES.join(', '), status: 400 };
+    }
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_KEY_RATE) {
+      return { error: 'Rate limit must be 1-' + MAX_KEY_RATE + ' requests per minute', status: 400 };
+    }
+    if ([...db.apiKeys.values()].filter(k => k.userId === user.id && !k.revokedAt).length >= MAX_KEYS) {
+      return { error: 'You can have at most ' + MAX_KEYS + ' active keys', status: 400 };
+    }
+    
+    const key = {
+      id: nextId('apiKey'), keyId: 'pxk_' + crypto.randomBytes(12).toString('base64url'),
+      secret: 'pxs_' + crypto.randomBytes(32).toString('base64url'), userId: user.id, name: name.trim(),
+      scopes: KEY_SCOPES.filter(sc => scopes.includes(sc)), rateLimit, createdAt: Date.now(), lastUsedAt: null, revokedAt: null
+    };
+    db.apiKeys.set(key.id, key);
+    touch('apiKeys', key.id);
+    return { success: true, key: apiKeyView(key), secret: key.secret };
+  },
+  
+  'DELETE /api/keys/:id': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const key = db.apiKeys.get(parseInt(req.params.id));
+    if (!key || key.userId !== user.id || key.revokedAt) return { error: 'Key not found', status: 404 };
+    
+    key.revokedAt = Date.now();
+    touch('apiKeys', key.id, ['revokedAt']);
+    return { success: true };
+  },
+  
+  'GET /api/keys/:id/log': (req) => {
+    const user = getUser(req);
+    if (!user) return { error: 'Unauthorized', status: 401 };
+    const key = db.apiKeys.get(parseInt(req.params.id));
+    if (!key || key.userId !== user.id) return { error: 'Key not found', status: 404 };
     
-    return { leaderboard: users.map((u, i) => ({ ...u, rank: i + 1 })) };
+    const entries = [];
+    for (let i = db.keyLog.length - 1; i >= 0 && entries.length < 100; i--) {
+      if (db.keyLog[i].keyId === key.id) entries.push(db.keyLog[i]);
+    }
+    return { key: apiKeyView(key), entries: entries.map(({ keyId, userId, ...e }) => e) };
   },
   
+  'GET /api/openapi.json': () => openApiSpec(),
+  
   'GET /api/stats': () => {
     return {
       totalMarkets: db.markets.length,
       totalUsers: db.users.size,
       totalVolume: db.markets.reduce((a, m) => a + m.vol, 0),
-      totalTrades: db.trades.length
+      totalTrades: db.trades.length,
+      totalFees: cents(db.ledger.reduce((a, e) => e.userId === db.treasury.id && e.type === 'fee' ? a + e.amount : a, 0)),
+      treasury: db.treasury.balance
     };
   }
-};
+};
+
+// ============ API SCHEMAS ============
+// Request shapes per route, checked by the router before a handler runs and
+// published as the OpenAPI document. Schemas pin down types and required
+// fields; rules that depend on state (balances, market status) stay in the
+// handlers. Routes are signed-in only unless marked `public`, and the router
+// turns anonymous requests away from them before the handler runs.
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const bool = { type: 'boolean' };
+const obj = (properties, required = []) => ({ type: 'object', properties, required });
+const time = str({ description: 'Epoch milliseconds or an ISO 8601 date' });
+const page = max => ({ limit: int({ minimum: 1, maximum: max }), offset: int({ minimum: 0 }) });
+const reason = str({ maxLength: 200 });
+const tradeQuery = { marketId: int(), outcome: str(), side: str(), type: str({ enum: ['buy', 'sell'] }), from: time, to: time };
+const marketFields = {
+  title: str({ minLength: 10, maxLength: 200 }),
+  description: str({ maxLength: 5000 }),
+  resolutionCriteria: str({ minLength: 1 }),
+  category: str({ enum: CATEGORIES.map(c => c.id) }),
+  outcomes: { type: 'array', items: str({ minLength: 1, maxLength: 60 }), minItems: 2, maxItems: MAX_OUTCOMES },
+  probability: int({ minimum: 1, maximum: 99 }),
+  probabilities: { type: 'array', items: int({ minimum: 1 }) },
+  openAt: num(),
+  closeAt: num(),
+  liquidity: num({ minimum: 10 }),
+  oracle: {
+    ...obj({ url: str({ maxLength: 2000 }), path: str({ maxLength: 200 }), comparator: str({ enum: Object.keys(ORACLE_COMPARATORS) }), threshold: num() }, ['url', 'path', 'comparator', 'threshold']),
+    type: ['object', 'null'],
+    description: 'Resolves the market YES when the number at `path` in the JSON at `url` compares true against `threshold`, else NO'
+  }
+};
+
+const ROUTE_SPECS = {
+  'POST /api/register': { summary: 'Create an account', public: true, body: obj({ username: str(), email: str(), password: str() }, ['username', 'email', 'password']) },
+  'POST /api/login': { summary: 'Sign in with email and password', public: true, body: obj({ email: str(), password: str() }, ['email', 'password']) },
+  'POST /api/refresh': { summary: 'Rotate a refresh token for a new access token', public: true, body: obj({ refreshToken: str() }, ['refreshToken']) },
+  'POST /api/logout': { summary: 'Revoke the current session' },
+  'POST /api/logout-all': { summary: 'Revoke every session of the account' },
+  'GET /api/me': { summary: 'Current user and open positions' },
+  'GET /api/markets': {
+    summary: 'List, filter, sort and search markets', public: true,
+    query: {
+      q: str(), cat: str(), status: str({ enum: MARKET_STATUSES }), sort: str({ enum: Object.keys(MARKET_SORTS) }),
+      order: str({ enum: ['asc', 'desc'] }), minPrice: num({ minimum: 0, maximum: 100 }), maxPrice: num({ minimum: 0, maximum: 100 }),
+      minVolume: num({ minimum: 0 }), watching: str({ enum: ['1'] }), cursor: str(), ...page(200)
+    }
+  },
+  'GET /api/markets/:id': { summary: 'Market detail', public: true },
+  'POST /api/markets': { summary: 'Create a market (admin)', body: obj(marketFields, ['title', 'resolutionCriteria', 'category', 'closeAt']) },
+  'PATCH /api/markets/:id': { summary: 'Edit a market (admin)', body: obj(marketFields) },
+  'POST /api/markets/:id/halt': { summary: 'Halt trading in a market (admin)', body: obj({ reason }) },
+  'POST /api/markets/:id/resume': { summary: 'Resume trading in a market (admin)' },
+  'POST /api/markets/:id/resolve': { summary: 'Resolve a market to an outcome or INVALID, overriding any oracle proposal (admin)', body: obj({ outcome: str() }, ['outcome']) },
+  'PUT /api/markets/:id/oracle': { summary: 'Attach, replace or remove the oracle of an unresolved market (admin)', body: obj({ oracle: marketFields.oracle }, ['oracle']) },
+  'POST /api/markets/:id/oracle/check': { summary: 'Fetch a market oracle without resolving (admin)' },
+  'GET /api/markets/:id/trades': { summary: 'Recent trades in a market', public: true, query: { limit: int({ minimum: 1, maximum: 500 }) } },
+  'GET /api/markets/:id/candles': {
+    summary: 'OHLCV price history for an outcome', public: true,
+    query: { outcome: str(), resolution: str({ enum: Object.keys(RESOLUTIONS) }), from: time, to: time }
+  },
+  'GET /api/markets/:id/book': { summary: 'Order book depth', public: true },
+  'GET /api/markets/:id/comments': { summary: 'Discussion thread', public: true, query: { sort: str({ enum: ['top', 'new'] }) } },
+  'POST /api/markets/:id/comments': {
+    summary: 'Post a comment or reply',
+    body: obj({ body: str({ maxLength: MAX_COMMENT_LENGTH }), parentId: { type: ['integer', 'null'] } }, ['body'])
+  },
+  'POST /api/admin/halt': { summary: 'Halt every market in a category (admin)', body: obj({ category: str({ enum: CATEGORIES.map(c => c.id) }), reason }, ['category']) },
+  'POST /api/admin/resume': { summary: 'Resume a halted category (admin)', body: obj({ category: str({ enum: CATEGORIES.map(c => c.id) }) }, ['category']) },
+  'POST /api/admin/mute': { summary: 'Mute or unmute a commenter (admin)', body: obj({ username: str(), muted: bool, reason }, ['username', 'muted']) },
+  'POST /api/admin/roles': { summary: 'Grant or revoke admin (admin)', body: obj({ username: str(), role: str({ enum: ['admin', 'user'] }) }, ['username', 'role']) },
+  'GET /api/admin/comments': { summary: 'Reported comments awaiting review (admin)' },
+  'GET /api/fees': { summary: 'Taker and maker fees per category, in basis points', public: true },
+  'PUT /api/admin/fees': {
+    summary: 'Set the fees for a category (admin)',
+    body: obj({ category: str({ enum: CATEGORIES.map(c => c.id) }), taker: int({ minimum: 0, maximum: 1000 }), maker: int({ minimum: 0, maximum: 1000 }) }, ['category'])
+  },
+  'GET /api/admin/reconciliation': { summary: 'Check balances, treasury and outstanding liabilities against total deposits (admin)' },
+  'POST /api/trade': {
+    summary: 'Buy shares of an outcome for a dollar amount; send an Idempotency-Key header to make retries safe',
+    body: obj({ marketId: int({ minimum: 0 }), outcome: str(), side: str(), amount: num({ exclusiveMinimum: 0 }) }, ['marketId', 'amount'])
+  },
+  'GET /api/trade/quote': { summary: 'Quote a buy', query: { marketId: int({ minimum: 0 }), outcome: str(), side: str(), amount: num({ exclusiveMinimum: 0 }) } },
+  'GET /api/trades': { summary: 'Your fills', query: { ...tradeQuery, ...page(500) } },
+  'GET /api/trades/export': { summary: 'Download your fills as CSV or NDJSON', query: { ...tradeQuery, format: str({ enum: ['csv', 'ndjson'] }) } },
+  'GET /api/sell/quote': { summary: 'Quote selling a position', query: { positionId: str(), shares: int({ minimum: 1 }) } },
+  'POST /api/sell': { summary: 'Sell some or all of a position; accepts an Idempotency-Key header', body: obj({ positionId: str(), shares: int({ minimum: 1 }) }, ['positionId']) },
+  'GET /api/orders': { summary: 'Your limit orders' },
+  'POST /api/orders': {
+    summary: 'Place a limit order on a binary market',
+    body: obj({ marketId: int({ minimum: 0 }), side: str({ enum: ['YES', 'NO'] }), price: int({ minimum: 1, maximum: 99 }), quantity: int({ minimum: 1 }) }, ['marketId', 'side', 'price', 'quantity'])
+  },
+  'DELETE /api/orders/:id': { summary: 'Cancel a resting order' },
+  'GET /api/stream': {
+    summary: 'Server-sent events for prices, trades and your account', public: true,
+    query: { token: str(), markets: str({ description: 'Comma-separated market ids' }), lastEventId: int({ minimum: 0 }) }
+  },
+  'POST /api/stream/subscribe': {
+    summary: 'Change the markets a stream receives', public: true,
+    body: obj({ clientId: str({ description: 'The id from the stream\'s hello event' }), markets: { type: ['array', 'string'] } }, ['clientId'])
+  },
+  'GET /api/portfolio': { summary: 'Equity, PnL, exposure and equity curve', query: { from: time } },
+  'POST /api/wallet/deposit': { summary: 'Deposit funds', body: obj({ amount: num({ exclusiveMinimum: 0 }) }, ['amount']) },
+  'POST /api/wallet/withdraw': { summary: 'Withdraw funds', body: obj({ amount: num({ exclusiveMinimum: 0 }) }, ['amount']) },
+  'GET /api/wallet/transactions': { summary: 'Ledger entries', query: { type: str({ enum: LEDGER_TYPES }), ...page(100) } },
+  'GET /api/leaderboard': { summary: 'Traders ranked over a period', public: true, query: { period: str({ enum: Object.keys(PERIODS) }), metric: str({ enum: LEADERBOARD_METRICS }) } },
+  'GET /api/users/:username': { summary: 'Public trader profile', public: true },
+  'PATCH /api/comments/:id': { summary: 'Edit your comment', body: obj({ body: str({ maxLength: MAX_COMMENT_LENGTH }) }, ['body']) },
+  'DELETE /api/comments/:id': { summary: 'Delete a comment' },
+  'POST /api/comments/:id/upvote': { summary: 'Toggle your upvote' },
+  'POST /api/comments/:id/report': { summary: 'Report a comment to moderators', body: obj({ reason }, ['reason']) },
+  'POST /api/comments/:id/moderate': { summary: 'Hide, unhide or dismiss reports (admin)', body: obj({ action: str({ enum: ['hide', 'unhide', 'dismiss'] }), reason }, ['action']) },
+  'GET /api/watchlist': { summary: 'Markets you watch' },
+  'PUT /api/watchlist/:id': { summary: 'Watch a market' },
+  'DELETE /api/watchlist/:id': { summary: 'Stop watching a market' },
+  'GET /api/alerts': { summary: 'Your price alerts', query: { marketId: int() } },
+  'POST /api/alerts': {
+    summary: 'Create a price alert',
+    body: obj({
+      marketId: int({ minimum: 0 }), outcome: str(), kind: str({ enum: ALERT_KINDS }), price: int({ minimum: 1, maximum: 99 }),
+      direction: str({ enum: ['above', 'below'] }), points: num({ minimum: 1, maximum: 99 }), window: int({ minimum: 5, maximum: 360 })
+    }, ['marketId', 'kind'])
+  },
+  'DELETE /api/alerts/:id': { summary: 'Delete a price alert' },
+  'GET /api/triggers': { summary: 'Your position triggers, open ones unless status=all', query: { positionId: str(), status: str({ enum: ['open', 'all'] }) } },
+  'POST /api/triggers': {
+    summary: 'Attach a stop-loss, take-profit or trailing stop to a position',
+    body: obj({
+      positionId: str(), type: str({ enum: TRIGGER_TYPES }), price: int({ minimum: 1, maximum: 99 }),
+      trail: int({ minimum: 1, maximum: 98 }), shares: int({ minimum: 1 })
+    }, ['positionId', 'type'])
+  },
+  'DELETE /api/triggers/:id': { summary: 'Cancel an open trigger' },
+  'GET /api/notifications': { summary: 'Notification inbox', query: { unread: str({ enum: ['0', '1'] }) } },
+  'POST /api/notifications/read': { summary: 'Mark notifications read', body: obj({ ids: { type: 'array', items: int() } }) },
+  'GET /api/webhooks': { summary: 'Your webhook endpoints' },
+  'POST /api/webhooks': {
+    summary: 'Register a webhook endpoint',
+    body: obj({ url: str({ maxLength: 2000 }), events: { type: 'array', items: str({ enum: WEBHOOK_EVENTS }), minItems: 1 } }, ['url', 'events'])
+  },
+  'PATCH /api/webhooks/:id': {
+    summary: 'Update a webhook endpoint',
+    body: obj({ url: str({ maxLength: 2000 }), events: { type: 'array', items: str({ enum: WEBHOOK_EVENTS }), minItems: 1 }, active: bool })
+  },
+  'DELETE /api/webhooks/:id': { summary: 'Delete a webhook endpoint and its log' },
+  'GET /api/webhooks/:id/deliveries': { summary: 'Delivery log for an endpoint' },
+  'POST /api/webhooks/:id/test': { summary: 'Queue a ping delivery' },
+  'GET /api/keys': { summary: 'Your API keys' },
+  'POST /api/keys': {
+    summary: 'Create an API key',
+    body: obj({ name: str({ minLength: 1, maxLength: 40 }), scopes: { type: 'array', items: str({ enum: KEY_SCOPES }), minItems: 1 }, rateLimit: int({ minimum: 1, maximum: MAX_KEY_RATE }) }, ['name', 'scopes'])
+  },
+  'DELETE /api/keys/:id': { summary: 'Revoke an API key' },
+  'GET /api/keys/:id/log': { summary: 'Recent uses of an API key' },
+  'GET /api/openapi.json': { summary: 'This document', public: true },
+  'GET /api/stats': { summary: 'Platform totals, including fees collected and the treasury balance', public: true }
+};
+
+// ============ ABUSE PROTECTION ============
+// Token buckets refill continuously at `rate` tokens per second up to
+// `burst`. Every request draws from its IP's bucket and, once signed in,
+// from its user's; login and registration also draw from tighter per-IP
+// buckets of their own. Repeated failed sign-ins lock the account for a
+// while regardless of IP. Trades and sells accept an Idempotency-Key: the
+// first successful response is stored for a day and replayed for retries.
+const RATE_LIMITS = {
+  ip: { burst: 300, rate: 5 },
+  user: { burst: 120, rate: 2 },
+  'POST /api/login': { burst: 10, rate: 1 / 30 },
+  'POST /api/register': { burst: 3, rate: 1 / 1200 }
+};
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_WINDOW = 15 * 60 * 1000;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const IDEMPOTENT_ROUTES = ['POST /api/trade', 'POST /api/sell'];
+const IDEMPOTENCY_TTL = DAY;
+const buckets = new Map();
+const loginFailures = new Map();
+const idempotencyInFlight = new Set();
+
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// Takes a token, or returns the seconds until one is available
+function takeToken(key, limit) {
+  const { burst, rate } = limit;
+  const now = Date.now();
+  const b = buckets.get(key) || { tokens: burst, updated: now, limit };
+  b.tokens = Math.min(burst, b.tokens + (now - b.updated) / 1000 * rate);
+  b.updated = now;
+  buckets.set(key, b);
+  if (b.tokens >= 1) {
+    b.tokens--;
+    return 0;
+  }
+  return Math.ceil((1 - b.tokens) / rate);
+}
+
+function rateLimit(req, routeKey, user) {
+  const ip = clientIp(req);
+  const checks = [['ip:' + ip, RATE_LIMITS.ip]];
+  if (RATE_LIMITS[routeKey]) checks.push([routeKey + ':' + ip, RATE_LIMITS[routeKey]]);
+  if (user) checks.push(['user:' + user.id, RATE_LIMITS.user]);
+  for (const [key, limit] of checks) {
+    const wait = takeToken(key, limit);
+    if (wait) return wait;
+  }
+  return 0;
+}
+
+function loginLockout(email) {
+  const f = loginFailures.get(String(email).toLowerCase());
+  return f && f.lockedUntil > Date.now() ? Math.ceil((f.lockedUntil - Date.now()) / 1000) : 0;
+}
+
+function recordLoginAttempt(email) {
+  const key = String(email).toLowerCase();
+  const now = Date.now();
+  let f = loginFailures.get(key);
+  if (!f || now - f.first > LOCKOUT_WINDOW) loginFailures.set(key, f = { count: 0, first: now, lockedUntil: 0 });
+  if (++f.count >= LOCKOUT_THRESHOLD) f.lockedUntil = now + LOCKOUT_DURATION;
+}
+
+// Ties a key to the user, route and exact request body it was first used with
+function idempotencyRecord(req, user) {
+  const key = req.headers['idempotency-key'];
+  if (!key || !IDEMPOTENT_ROUTES.includes(req.routeKey) || !user) return null;
+  if (key.length > 255) return { error: 'Idempotency-Key must be at most 255 characters', status: 400 };
+  const id = user.id + ':' + key;
+  const fingerprint = crypto.createHash('sha256').update(req.routeKey + '\n' + (req.rawBody || '')).digest('hex');
+  const stored = db.idempotency.get(id);
+  if (stored && stored.fingerprint !== fingerprint) {
+    return { error: 'Idempotency-Key was already used for a different request', status: 422 };
+  }
+  if (stored) return { replay: stored };
+  if (idempotencyInFlight.has(id)) return { error: 'A request with this Idempotency-Key is still in progress', status: 409 };
+  return { id, fingerprint };
+}
+
+function saveIdempotent(record, status, result) {
+  idempotencyInFlight.delete(record.id);
+  if (status >= 300) return;
+  db.idempotency.set(record.id, { fingerprint: record.fingerprint, status, result, createdAt: Date.now() });
+  touch('idempotency', record.id);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  buckets.forEach((b, key) => {
+    if (b.tokens + (now - b.updated) / 1000 * b.limit.rate >= b.limit.burst) buckets.delete(key);
+  });
+  loginFailures.forEach((f, key) => { if (now - f.first > LOCKOUT_WINDOW && f.lockedUntil < now) loginFailures.delete(key); });
+  db.idempotency.forEach((r, id) => {
+    if (now - r.createdAt < IDEMPOTENCY_TTL) return;
+    db.idempotency.delete(id);
+    touch('idempotency', id);
+  });
+  trimKeyLog();
+  commit('prune');
+}, 10 * 60 * 1000);
+
+// ============ ROUTER ============
+// Routes are matched segment by segment, literal segments winning over
+// `:params`, so /api/trades/export never reaches a `:id` route. /api/v1/...
+// is the versioned prefix; the bare /api/... paths are the same version.
+// Path params named `id` must be numeric; query strings are coerced to the
+// schema's types before validation.
+const routeTable = Object.keys(routes).map(key => {
+  const [method, pattern] = key.split(' ');
+  return { key, method, segments: pattern.split('/').slice(1), handler: routes[key], spec: ROUTE_SPECS[key] || {} };
+}).sort((a, b) => {
+  for (let i = 0; i < Math.min(a.segments.length, b.segments.length); i++) {
+    const d = (a.segments[i][0] === ':') - (b.segments[i][0] === ':');
+    if (d) return d;
+  }
+  return 0;
+});
+
+function matchRoute(method, path) {
+  const parts = path.split('/').slice(1);
+  const allowed = [];
+  for (const route of routeTable) {
+    if (route.segments.length !== parts.length) continue;
+    const params = {};
+    const hit = route.segments.every((seg, i) => {
+      if (seg[0] !== ':') return seg === parts[i];
+      params[seg.slice(1)] = parts[i];
+      return parts[i] !== '';
+    });
+    if (!hit) continue;
+    if (route.method === method) return { route, params };
+    allowed.push(route.method);
+  }
+  return { allowed };
+}
+
+function isType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+// The subset of JSON Schema the specs above use
+function validate(schema, value, path, errors = []) {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => isType(t, value))) {
+    errors.push({ path, message: 'must be ' + (types.length > 1 ? 'one of ' + types.join(', ') : types[0] === 'integer' ? 'an integer' : types[0] === 'array' || types[0] === 'object' ? 'an ' + types[0] : 'a ' + types[0]) });
+    return errors;
+  }
+  const fail = message => errors.push({ path, message });
+  if (schema.enum && !schema.enum.includes(value)) fail('must be one of ' + schema.enum.join(', '));
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('must be at least ' + schema.minimum);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('must be at most ' + schema.maximum);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('must be greater than ' + schema.exclusiveMinimum);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('must be at least ' + schema.minLength + ' characters');
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('must be at most ' + schema.maxLength + ' characters');
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('must have at least ' + schema.minItems + ' items');
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('must have at most ' + schema.maxItems + ' items');
+    if (schema.items) value.forEach((v, i) => validate(schema.items, v, path + '[' + i + ']', errors));
+  }
+  if (isType('object', value) && schema.properties) {
+    (schema.required || []).forEach(k => { if (value[k] === undefined) errors.push({ path: path + '.' + k, message: 'is required' }); });
+    Object.keys(schema.properties).forEach(k => {
+      if (value[k] !== undefined) validate(schema.properties[k], value[k], path + '.' + k, errors);
+    });
+  }
+  return errors;
+}
+
+function coerce(schema, value) {
+  const types = [].concat(schema.type || []);
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return parseInt(value);
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes('boolean') && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+}
+
+// Structured errors for everything the route's spec says about the request
+function checkRequest(route, params, url, body) {
+  const errors = [];
+  if (params.id !== undefined && !/^\d+$/.test(params.id)) errors.push({ path: 'params.id', message: 'must be a numeric id' });
+  const { query, body: bodySchema } = route.spec;
+  if (query) {
+    Object.keys(query).forEach(k => {
+      const raw = url.searchParams.get(k);
+      if (raw !== null) validate(query[k], coerce(query[k], raw), 'query.' + k, errors);
+    });
+  }
+  if (bodySchema) validate(bodySchema, body, 'body', errors);
+  return errors;
+}
+
+// Reads the body up to BODY_LIMIT; the rest of an oversized body is drained
+// unread so the 413 can still be sent
+// Stops reading as soon as the body passes BODY_LIMIT; the caller answers
+// 413 and drops the connection rather than draining the rest
+function readBody(req) {
+  if (parseInt(req.headers['content-length']) > BODY_LIMIT) return Promise.resolve({ tooLarge: true });
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size <= BODY_LIMIT) return chunks.push(chunk);
+      req.off('data', onData);
+      req.pause();
+      resolve({ tooLarge: true });
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve({ raw: Buffer.concat(chunks).toString() }));
+    req.on('error', reject);
+  });
+}
+
+function openApiSpec() {
+  const error = { $ref: '#/components/schemas/Error' };
+  const paths = {};
+  routeTable.forEach(({ method, segments, spec }) => {
+    const path = '/' + segments.slice(1).map(seg => seg[0] === ':' ? '{' + seg.slice(1) + '}' : seg).join('/');
+    const parameters = segments.filter(seg => seg[0] === ':').map(seg => ({
+      name: seg.slice(1), in: 'path', required: true, schema: seg === ':id' ? int({ minimum: 0 }) : str()
+    })).concat(Object.keys(spec.query || {}).map(name => ({ name, in: 'query', schema: spec.query[name] })));
+    const op = {
+      operationId: method.toLowerCase() + segments.slice(1).map(seg => seg.replace(/^:/, 'by-')).join('-')
+        .replace(/[^a-zA-Z0-9]+(.)/g, (_, c) => c.toUpperCase()).replace(/^./, c => c.toUpperCase()),
+      summary: spec.summary,
+      tags: [segments[1]],
+      parameters,
+      responses: {
+        200: { description: 'OK' },
+        400: { description: 'Invalid request', content: { 'application/json': { schema: error } } },
+        ...(spec.public ? {} : { 401: { description: 'Not signed in', content: { 'application/json': { schema: error } } } }),
+        429: { description: 'Rate limited; see Retry-After', content: { 'application/json': { schema: error } } }
+      }
+    };
+    if (!spec.public) op.security = [{ bearer: [] }, { apiKey: [], apiTimestamp: [], apiSignature: [] }];
+    if (spec.body) op.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+    (paths[path] = paths[path] || {})[method.toLowerCase()] = op;
+  });
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Predict X API', version: '1' },
+    servers: [{ url: '/api/v1' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiTimestamp: { type: 'apiKey', in: 'header', name: 'X-API-Timestamp' },
+        apiSignature: { type: 'apiKey', in: 'header', name: 'X-API-Signature' }
+      },
+      schemas: {
+        Error: obj({
+          error: str(),
+          details: { type: 'array', items: obj({ path: str(), message: str() }) }
+        }, ['error'])
+      }
+    }
+  };
+}
 
 // ============ FRONTEND HTML ============
 const HTML = `<!DOCTYPE html>
@@ -324,7 +3928,11 @@ const HTML = `<!DOCTYPE html>
     .balance-badge span{color:#30D158}
     .avatar-btn{width:36px;height:36px;border-radius:18px;background:linear-gradient(135deg,#00AFFF,#0077B6);border:none;font-size:16px;cursor:pointer}
     .search{background:#1C1C1E;border-radius:12px;padding:12px 16px;display:flex;gap:10px;margin-bottom:12px}
-    .search input{background:none;border:none;color:#fff;flex:1;font-size:15px;outline:none}
+    .search input{background:none;border:none;color:#fff;flex:1;min-width:0;font-size:15px;outline:none}
+    .search select{background:#2C2C2E;border:none;color:#fff;border-radius:8px;padding:0 8px;font-size:12px;outline:none}
+    .card-foot .grn{color:#30D158}
+    .card-foot .red{color:#FF453A}
+    .list-end{text-align:center;font-size:11px;color:#8E8E93;padding:12px 0 24px}
     .pills{display:flex;gap:6px;overflow-x:auto;padding:4px 0}
     .pills::-webkit-scrollbar{display:none}
     .pill{background:#1C1C1E;color:#fff;border:none;border-radius:20px;padding:10px 14px;font-size:12px;font-weight:500;cursor:pointer;white-space:nowrap;transition:all .2s;display:flex;align-items:center;gap:6px}
@@ -349,7 +3957,88 @@ const HTML = `<!DOCTYPE html>
     .pbtn .price{font-size:15px;font-weight:700;color:#fff;font-variant-numeric:tabular-nums;transition:color .2s}
     .pbtn .price.up{color:#30D158}
     .pbtn .price.down{color:#FF453A}
+    .outcome-list{display:flex;flex-direction:column;gap:6px}
+    .orow{position:relative;display:flex;justify-content:space-between;align-items:center;background:#2C2C2E;border-radius:10px;padding:8px 10px;font-size:12px;font-weight:600;overflow:hidden}
+    .orow span{position:relative}
+    .obar{position:absolute;top:0;bottom:0;left:0;background:rgba(0,175,255,.15);transition:width .3s}
+    .orow .price{font-variant-numeric:tabular-nums;transition:color .2s}
+    .orow .price.up{color:#30D158}
+    .orow .price.down{color:#FF453A}
+    .orow.more{background:none;justify-content:center;color:#8E8E93;font-weight:500}
+    .orow.pick{cursor:pointer;padding:12px 14px;font-size:14px}
+    .orow.pick.active{box-shadow:inset 0 0 0 2px #00AFFF}
+    .status-note{border-radius:10px;padding:8px 10px;margin-top:8px;text-align:center;font-size:12px;font-weight:600;background:#2C2C2E;color:#8E8E93}
+    .status-note.halted{background:rgba(255,149,0,.15);color:#FF9500}
+    .countdown{font-variant-numeric:tabular-nums}
+    .resolved{border-radius:10px;padding:10px;text-align:center;font-size:13px;font-weight:700;background:#2C2C2E}
+    .resolved.yes{background:rgba(48,209,88,.15);color:#30D158}
+    .resolved.no{background:rgba(255,69,58,.15);color:#FF453A}
+    .resolved.invalid{color:#8E8E93}
+    .book-box{background:#1C1C1E;border-radius:14px;padding:14px;margin-top:14px}
+    .book-box:empty{display:none}
+    .ladder-row{position:relative;display:flex;justify-content:space-between;padding:5px 8px;font-size:12px;font-variant-numeric:tabular-nums}
+    .ladder-row span{position:relative}
+    .ladder-bar{position:absolute;top:1px;bottom:1px;right:0;border-radius:4px}
+    .ladder-row.ask span:first-child{color:#FF453A}
+    .ladder-row.ask .ladder-bar{background:rgba(255,69,58,.15)}
+    .ladder-row.bid span:first-child{color:#30D158}
+    .ladder-row.bid .ladder-bar{background:rgba(48,209,88,.15)}
+    .ladder-mid{border-top:1px dashed #2C2C2E;margin:4px 0}
+    .ladder-empty{font-size:12px;color:#8E8E93;text-align:center;padding:8px}
+    .limit-form{display:flex;gap:6px;margin-top:12px}
+    .limit-form select,.limit-form input{flex:1;min-width:0;background:#000;border:1px solid #2C2C2E;border-radius:8px;padding:8px;color:#fff;font-size:12px;outline:none}
+    .limit-form button,.my-order button{background:#00AFFF;border:none;color:#000;padding:8px 12px;border-radius:8px;font-size:12px;font-weight:600;cursor:pointer}
+    .my-order{display:flex;justify-content:space-between;align-items:center;padding:8px 0 0;font-size:12px}
+    .my-order button{background:#2C2C2E;color:#FF453A}
+    .detail-box p.criteria{margin-top:8px;font-size:12px}
+    .market-form{display:flex;flex-direction:column;gap:8px}
+    .market-form input,.market-form textarea,.market-form select{width:100%;background:#000;border:1px solid #2C2C2E;border-radius:10px;padding:10px;color:#fff;font-size:13px;font-family:inherit;outline:none}
+    .mf-row{display:flex;gap:8px}
+    .mf-row label{flex:1;min-width:0;font-size:11px;color:#8E8E93}
+    .mf-row label input{margin-top:4px}
+    .market-form button{padding:12px;border-radius:10px;border:none;font-weight:600;cursor:pointer}
+    .admin-box{background:#1C1C1E;border-radius:14px;padding:14px;margin-top:14px}
+    .admin-box h4{font-size:12px;color:#8E8E93;margin-bottom:10px}
+    .admin-btns{display:flex;flex-wrap:wrap;gap:8px}
+    .admin-btns button.halt-btn{flex-basis:100%;background:rgba(255,149,0,.15);color:#FF9500}
+    .admin-btns button{flex:1;background:#2C2C2E;border:none;color:#fff;padding:10px;border-radius:10px;font-size:12px;font-weight:600;cursor:pointer}
     .card-foot{display:flex;justify-content:space-between;margin-top:8px;font-size:10px;color:#8E8E93}
+    .bell{position:relative;background:#2C2C2E}
+    .bell .badge{position:absolute;top:-4px;right:-4px;background:#FF453A;color:#fff;border-radius:9px;min-width:18px;height:18px;font-size:10px;font-weight:700;line-height:18px;padding:0 4px}
+    .notif{padding:10px 0;border-top:1px solid #2C2C2E;font-size:13px;cursor:pointer}
+    .notif:first-child{border-top:none}
+    .notif.unread .notif-title{color:#00AFFF}
+    .notif-title{font-size:11px;color:#8E8E93;margin-bottom:2px}
+    .alert-row{display:flex;justify-content:space-between;align-items:center;font-size:12px;padding:6px 0}
+    .alert-row.done{color:#8E8E93}
+    .alert-row button{background:none;border:none;color:#8E8E93;cursor:pointer}
+    .alert-form{display:flex;gap:6px;margin-top:8px}
+    .alert-form select,.alert-form input{background:#2C2C2E;border:none;border-radius:8px;color:#fff;padding:8px;font-size:12px;min-width:0;outline:none}
+    .alert-form input{width:56px}
+    .alert-form button{padding:0 14px;border-radius:8px;border:none;font-weight:600;cursor:pointer}
+    .hook-btns{display:flex;gap:6px}
+    .hook-btns button{background:#2C2C2E;border:none;color:#fff;border-radius:8px;padding:6px 8px;font-size:11px;cursor:pointer}
+    .hook-events{display:flex;flex-wrap:wrap;gap:10px;font-size:12px;color:#8E8E93}
+    .c-sort a{cursor:pointer}
+    .c-sort a.active{color:#fff}
+    .c-compose{display:flex;gap:8px;margin-bottom:12px}
+    .c-compose textarea{flex:1;background:#2C2C2E;border:none;border-radius:10px;color:#fff;padding:10px;font-size:13px;font-family:inherit;resize:vertical;min-height:40px;outline:none}
+    .c-compose button{padding:0 14px;border-radius:10px;border:none;font-weight:600;cursor:pointer}
+    .comment{padding:10px 0;border-top:1px solid #2C2C2E}
+    .c-replies .comment{margin-left:14px;padding-left:10px;border-top:none;border-left:2px solid #2C2C2E;padding-bottom:0}
+    .c-head{display:flex;align-items:center;gap:6px;flex-wrap:wrap;font-size:11px}
+    .c-author{font-weight:600;cursor:pointer}
+    .c-pos{background:rgba(10,132,255,.15);color:#0A84FF;border-radius:6px;padding:2px 6px;font-size:10px}
+    .c-pos.yes{background:rgba(48,209,88,.15);color:#30D158}
+    .c-pos.no{background:rgba(255,69,58,.15);color:#FF453A}
+    .c-time{color:#8E8E93;margin-left:auto}
+    .c-body{font-size:13px;line-height:1.45;margin:6px 0;white-space:pre-wrap;word-break:break-word}
+    .c-body.gone{color:#8E8E93;font-style:italic}
+    .c-body.hidden{opacity:.5}
+    .c-note{font-size:11px;color:#8E8E93;margin:4px 0}
+    .c-actions{display:flex;gap:12px}
+    .c-actions button{background:none;border:none;color:#8E8E93;font-size:11px;cursor:pointer;padding:0}
+    .c-actions button.on{color:#FF9500}
     .tabs{position:fixed;bottom:0;left:50%;transform:translateX(-50%);width:100%;max-width:430px;background:#0a0a0a;display:flex;justify-content:space-around;padding:10px 0 28px;border-top:1px solid #1C1C1E;z-index:50}
     .tab{background:none;border:none;display:flex;flex-direction:column;align-items:center;gap:4px;cursor:pointer;opacity:.5;transition:opacity .2s}
     .tab.active{opacity:1}
@@ -376,6 +4065,9 @@ const HTML = `<!DOCTYPE html>
     .chart-chg.down{color:#FF453A}
     .chart-svg{height:100px;margin:12px 0}
     .chart-svg svg{width:100%;height:100%}
+    .chart-ranges{display:flex;gap:4px;margin-top:10px}
+    .chart-ranges button{flex:1;background:#2C2C2E;border:none;color:#8E8E93;padding:6px 0;border-radius:8px;font-size:11px;font-weight:600;cursor:pointer}
+    .chart-ranges button.active{background:#00AFFF;color:#000}
     .chart-labels{display:flex;justify-content:space-between;font-size:10px;color:#8E8E93}
     .trade-btns{display:flex;gap:12px}
     .tbtn{flex:1;padding:18px;border-radius:14px;text-align:center;cursor:pointer;border:2px solid;transition:transform .15s}
@@ -390,6 +4082,7 @@ const HTML = `<!DOCTYPE html>
     .trade-input label{font-size:12px;color:#8E8E93;display:block;margin-bottom:8px}
     .trade-input input{width:100%;background:#1C1C1E;border:2px solid #2C2C2E;border-radius:12px;padding:14px;color:#fff;font-size:18px;font-weight:600;text-align:center;outline:none}
     .trade-input input:focus{border-color:#00AFFF}
+    .trade-input select{width:100%;background:#1C1C1E;border:2px solid #2C2C2E;border-radius:12px;padding:12px;color:#fff;font-size:14px;outline:none}
     .trade-summary{background:#1C1C1E;border-radius:12px;padding:14px;margin-top:12px}
     .trade-row{display:flex;justify-content:space-between;padding:6px 0;font-size:13px}
     .trade-row span:first-child{color:#8E8E93}
@@ -405,6 +4098,8 @@ const HTML = `<!DOCTYPE html>
     .wallet-sub div{text-align:center}
     .wallet-sub .val{font-size:16px;font-weight:600}
     .wallet-sub .lbl{font-size:11px;color:#8E8E93}
+    .wallet-sub .val.grn{color:#30D158}
+    .wallet-sub .val.red{color:#FF453A}
     .wallet-actions{display:flex;gap:12px;margin-top:8px}
     .wallet-actions button{flex:1;padding:14px;border-radius:12px;font-size:14px;font-weight:600;cursor:pointer;border:none}
     .btn-p{background:#00AFFF;color:#000}
@@ -419,12 +4114,30 @@ const HTML = `<!DOCTYPE html>
     .pos-meta{font-size:11px}
     .pos-meta .grn{color:#30D158}
     .pos-meta .gry{color:#8E8E93}
+    .pos-meta .red,.tx-row .red{color:#FF453A}
+    .tx-row .grn{color:#30D158}
+    .tx-row .gry{color:#8E8E93}
     .pos-val{text-align:right}
     .pos-val .amt{font-size:14px;font-weight:600}
     .pos-val .pnl{font-size:11px}
     .pos-val .up{color:#30D158}
     .pos-val .dn{color:#FF453A}
     .sell-btn{background:#2C2C2E;border:none;color:#FF453A;padding:6px 12px;border-radius:8px;font-size:11px;font-weight:500;cursor:pointer;margin-left:10px}
+    .sell-btn.trig-btn{color:#0A84FF;margin-left:6px}
+    .trig-list{display:flex;flex-wrap:wrap;gap:4px;margin-top:5px}
+    .trig{background:#2C2C2E;border-radius:6px;padding:2px 6px;font-size:10px;color:#8E8E93}
+    .trig a{color:#FF453A;cursor:pointer;margin-left:5px}
+    .sell-slider{width:100%;accent-color:#FF453A}
+    .trade-row .grn{color:#30D158}
+    .trade-row .red{color:#FF453A}
+    .tx-row{display:flex;justify-content:space-between;align-items:center;padding:10px 0;border-bottom:1px solid #2C2C2E;font-size:13px}
+    .tx-row:last-child{border:none}
+    .tx-date{font-size:10px;color:#8E8E93;margin-top:2px}
+    .tx-amt{font-weight:600;font-variant-numeric:tabular-nums}
+    .tx-amt.up{color:#30D158}
+    .tx-amt.dn{color:#FF453A}
+    .export-links a{color:#00AFFF;cursor:pointer}
+    .more-btn{width:100%;background:#2C2C2E;border:none;color:#00AFFF;padding:10px;border-radius:10px;font-size:12px;cursor:pointer;margin-top:10px}
     .profile-hero{background:linear-gradient(135deg,#1C1C1E 0%,#0a0a0a 100%);border-radius:20px;padding:28px;text-align:center;margin-bottom:16px}
     .profile-avatar{width:80px;height:80px;border-radius:40px;background:linear-gradient(135deg,#00AFFF,#0077B6);display:flex;align-items:center;justify-content:center;font-size:36px;margin:0 auto 14px}
     .profile-name{font-size:22px;font-weight:700}
@@ -448,6 +4161,12 @@ const HTML = `<!DOCTYPE html>
     .l-name{font-size:14px;font-weight:500;display:flex;align-items:center;gap:8px}
     .l-wr{font-size:11px;color:#8E8E93;margin-top:2px}
     .l-bal{font-size:14px;font-weight:600;color:#30D158}
+    .l-bal.neg{color:#FF453A}
+    .leader-row{cursor:pointer}
+    .lb-controls{display:flex;flex-direction:column;gap:6px;margin-bottom:8px}
+    .lb-pills{display:flex;gap:6px}
+    .lb-pill{flex:1;background:#2C2C2E;border:none;color:#8E8E93;padding:6px 0;border-radius:8px;font-size:11px;font-weight:600;cursor:pointer}
+    .lb-pill.active{background:#00AFFF;color:#000}
     .you-badge{font-size:9px;background:rgba(0,175,255,.2);color:#00AFFF;padding:3px 8px;border-radius:6px}
     .empty{text-align:center;padding:48px 24px;color:#8E8E93}
     .empty span{font-size:48px;display:block;margin-bottom:12px}
@@ -467,6 +4186,9 @@ const HTML = `<!DOCTYPE html>
 const API='';
 let user=null;
 let token=localStorage.getItem('px_token');
+let refreshToken=localStorage.getItem('px_refresh');
+let refreshing=null;
+let refreshTimer=null;
 let markets=[];
 let positions=[];
 let leaderboard=[];
@@ -475,19 +4197,96 @@ let cat='all';
 let search='';
 let stats={};
 let priceCache={};
+let chartRange='1D';
+let chartOutcome=null;
+let openMarketId=null;
+let sort='';
+let nextCursor=null;
+let totalMarkets=0;
+let loadingMore=false;
+let commentSort='top';
+let watchlist=new Set();
+let unread=0;
+let lbPeriod='all';
+let lbMetric='roi';
+let es=null;
+let streamClient=null;
+let lastEventId=0;
+let reconnectDelay=1000;
 
 const $=s=>document.querySelector(s);
 const $$=s=>document.querySelectorAll(s);
 
-async function api(path,opts={}){
-  const headers={'Content-Type':'application/json'};
+async function authFetch(path,opts={},retry=true){
+  const headers={'Content-Type':'application/json',...opts.headers};
   if(token)headers.Authorization='Bearer '+token;
   const res=await fetch(API+path,{...opts,headers});
+  if(res.status===401&&retry&&refreshToken&&await refreshSession())return authFetch(path,opts,false);
+  return res;
+}
+
+async function api(path,opts={}){
+  const res=await authFetch(path,opts);
   const data=await res.json();
   if(data.error)throw new Error(data.error);
   return data;
 }
 
+// Access tokens are short-lived; concurrent 401s share one rotation of the refresh token.
+// Another tab may have rotated it since, so the latest copy is read back from storage
+function refreshSession(){
+  if(!refreshing)refreshing=(async()=>{
+    try{
+      refreshToken=localStorage.getItem('px_refresh');
+      if(!refreshToken)throw new Error('Signed out');
+      const res=await fetch(API+'/api/refresh',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({refreshToken})});
+      const data=await res.json();
+      if(data.error)throw new Error(data.error);
+      saveTokens(data);
+      if(es)connectStream();
+      return true;
+    }catch(e){
+      clearTokens();
+      return false;
+    }finally{refreshing=null;}
+  })();
+  return refreshing;
+}
+
+function saveTokens(data){
+  token=data.token;
+  refreshToken=data.refreshToken;
+  localStorage.setItem('px_token',token);
+  localStorage.setItem('px_refresh',refreshToken);
+  clearTimeout(refreshTimer);
+  refreshTimer=setTimeout(refreshSession,data.expiresIn*800);
+}
+
+// Tabs share one session. When another tab rotates the tokens this one takes
+// them over and leaves the next scheduled refresh to that tab; signing out in
+// one tab signs out the others, and signing in brings them in too
+window.addEventListener('storage',e=>{
+  if(e.key!=='px_refresh')return;
+  clearTimeout(refreshTimer);
+  token=localStorage.getItem('px_token');
+  refreshToken=e.newValue;
+  if(refreshToken&&!user)return checkAuth();
+  if(refreshToken||!user)return;
+  if(es)es.close();
+  es=null;
+  streamClient=null;
+  user=null;
+  showAuth();
+});
+
+function clearTokens(){
+  clearTimeout(refreshTimer);
+  localStorage.removeItem('px_token');
+  localStorage.removeItem('px_refresh');
+  token=null;
+  refreshToken=null;
+}
+
 async function checkAuth(){
   if(!token)return showAuth();
   try{
@@ -496,8 +4295,7 @@ async function checkAuth(){
     positions=data.positions;
     showApp();
   }catch(e){
-    localStorage.removeItem('px_token');
-    token=null;
+    clearTokens();
     showAuth();
   }
 }
@@ -522,9 +4320,8 @@ function renderAuth(mode){
       const endpoint=mode==='login'?'/api/login':'/api/register';
       const body=mode==='login'?{email,password:pass}:{username,email,password:pass};
       const data=await api(endpoint,{method:'POST',body:JSON.stringify(body)});
-      token=data.token;
+      saveTokens(data);
       user=data.user;
-      localStorage.setItem('px_token',token);
       positions=[];
       showApp();
     }catch(e){
@@ -535,9 +4332,12 @@ function renderAuth(mode){
   };
 }
 
-function logout(){
-  localStorage.removeItem('px_token');
-  token=null;
+async function logout(all){
+  try{await api(all?'/api/logout-all':'/api/logout',{method:'POST'});}catch(e){}
+  if(es)es.close();
+  es=null;
+  streamClient=null;
+  clearTokens();
   user=null;
   showAuth();
 }
@@ -545,43 +4345,140 @@ function logout(){
 async function showApp(){
   $('#auth').style.display='none';
   $('#main').style.display='block';
-  await loadMarkets();
+  await Promise.all([loadMarkets(),loadWatchlist(),loadUnread()]);
   render();
-  startPriceUpdates();
+  connectStream();
+}
+
+async function loadWatchlist(){
+  try{
+    const data=await api('/api/watchlist');
+    watchlist=new Set(data.markets.map(m=>m.id));
+  }catch(e){}
 }
 
+async function loadUnread(){
+  try{
+    const data=await api('/api/notifications?unread=1');
+    unread=data.unread;
+  }catch(e){}
+}
+
+const PAGE_SIZE=30;
+const SORTS={'':'Default',volume:'Volume',traders:'Traders',change:'24h change',closing:'Closing soon',newest:'Newest',probability:'Probability'};
+
 async function loadMarkets(){
   try{
-    const params=new URLSearchParams({limit:'100',cat,q:search});
+    const params=new URLSearchParams({limit:PAGE_SIZE,q:search,sort});
+    if(cat==='watching')params.set('watching','1');
+    else params.set('cat',cat);
     const data=await api('/api/markets?'+params);
     markets=data.markets;
-    markets.forEach(m=>priceCache[m.id]={yes:m.yes,no:m.no});
+    nextCursor=data.nextCursor;
+    totalMarkets=data.total;
+    markets.forEach(m=>priceCache[m.id]={...m.prices});
+    subscribeMarkets();
   }catch(e){console.error(e);}
 }
 
-function startPriceUpdates(){
-  setInterval(async()=>{
-    if(tab!=='home'&&tab!=='markets')return;
-    try{
-      const data=await api('/api/markets?limit=20&cat='+cat);
-      data.markets.forEach(m=>{
-        const old=priceCache[m.id]||{yes:m.yes,no:m.no};
-        priceCache[m.id]={yes:m.yes,no:m.no};
-        const card=document.querySelector('.card[data-id="'+m.id+'"]');
-        if(!card)return;
-        const yesEl=card.querySelector('.yes-p');
-        const noEl=card.querySelector('.no-p');
-        if(yesEl){
-          yesEl.textContent=m.yes+'¢';
-          yesEl.className='price yes-p'+(m.yes>old.yes?' up':m.yes<old.yes?' down':'');
-        }
-        if(noEl){
-          noEl.textContent=m.no+'¢';
-          noEl.className='price no-p'+(m.no>old.no?' up':m.no<old.no?' down':'');
-        }
-      });
-    }catch(e){}
-  },1000);
+// Infinite scroll: the next page of the same listing is appended when the end of the list comes into view
+async function loadMoreMarkets(){
+  if(!nextCursor||loadingMore)return;
+  loadingMore=true;
+  try{
+    const data=await api('/api/markets?'+new URLSearchParams({cursor:nextCursor,limit:PAGE_SIZE}));
+    markets=markets.concat(data.markets);
+    nextCursor=data.nextCursor;
+    data.markets.forEach(m=>priceCache[m.id]={...m.prices});
+    $('#marketList').insertAdjacentHTML('beforeend',data.markets.map(cardHTML).join(''));
+    data.markets.forEach(m=>{document.querySelector('.card[data-id="'+m.id+'"]').onclick=()=>showMarketModal(m.id);});
+    $('#listCount').textContent='Showing '+markets.length+' of '+totalMarkets+' markets';
+    if(!nextCursor)$('#listEnd').textContent='';
+    subscribeMarkets();
+  }catch(e){
+    await loadMarkets();
+    renderContent();
+  }finally{loadingMore=false;}
+}
+
+const listObserver=new IntersectionObserver(entries=>{if(entries.some(e=>e.isIntersecting))loadMoreMarkets();},{rootMargin:'600px'});
+
+function connectStream(){
+  if(es)es.close();
+  const params=new URLSearchParams({token,markets:markets.map(m=>m.id).join(',')||'none'});
+  if(lastEventId)params.set('lastEventId',lastEventId);
+  es=new EventSource(API+'/api/stream?'+params);
+  const on=(type,fn)=>es.addEventListener(type,e=>{if(e.lastEventId)lastEventId=parseInt(e.lastEventId);fn(JSON.parse(e.data));});
+  on('hello',d=>{streamClient=d.clientId;reconnectDelay=1000;subscribeMarkets();});
+  on('prices',applyPrices);
+  on('trade',applyTradePrint);
+  on('account',applyAccount);
+  on('market',applyMarketStatus);
+  on('notification',()=>{unread++;updateBell();});
+  on('comment',d=>{if(d.marketId===openMarketId&&![...$$('#comments textarea')].some(t=>t.value))loadComments(d.marketId);});
+  on('reset',async()=>{await loadMarkets();if(tab==='home'||tab==='markets')renderContent();});
+  es.onerror=()=>{
+    // The browser retries on its own with Last-Event-ID unless the stream was closed for good
+    if(es.readyState!==EventSource.CLOSED)return;
+    setTimeout(()=>{if(token)connectStream();},reconnectDelay);
+    reconnectDelay=Math.min(reconnectDelay*2,30000);
+  };
+}
+
+function subscribeMarkets(){
+  if(!streamClient)return;
+  api('/api/stream/subscribe',{method:'POST',body:JSON.stringify({clientId:streamClient,markets:markets.map(m=>m.id)})}).catch(()=>{});
+}
+
+function applyPrices(prices){
+  Object.keys(prices).forEach(id=>{
+    const p=prices[id].prices;
+    const old=priceCache[id]||p;
+    priceCache[id]=p;
+    const m=markets.find(x=>x.id===parseInt(id));
+    if(m){m.prices=p;m.yes=prices[id].yes;m.no=prices[id].no;}
+    const card=document.querySelector('.card[data-id="'+id+'"]');
+    if(!card)return;
+    card.querySelectorAll('.price[data-o]').forEach(el=>{
+      const o=el.dataset.o;
+      if(p[o]===undefined)return;
+      el.textContent=p[o]+'¢';
+      el.classList.toggle('up',p[o]>old[o]);
+      el.classList.toggle('down',p[o]<old[o]);
+      const bar=el.parentNode.querySelector('.obar');
+      if(bar)bar.style.width=p[o]+'%';
+    });
+  });
+}
+
+function applyMarketStatus(d){
+  const m=markets.find(x=>x.id===d.id);
+  if(m){
+    Object.assign(m,d);
+    const card=document.querySelector('.card[data-id="'+m.id+'"]');
+    if(card){
+      const tmp=document.createElement('div');
+      tmp.innerHTML=cardHTML(m);
+      card.replaceWith(tmp.firstChild);
+      document.querySelector('.card[data-id="'+m.id+'"]').onclick=()=>showMarketModal(m.id);
+    }
+  }
+  if(openMarketId===d.id)showMarketModal(d.id);
+}
+
+function applyTradePrint(t){
+  const m=markets.find(x=>x.id===t.marketId);
+  if(!m)return;
+  m.vol+=t.amount;
+  const el=document.querySelector('.card[data-id="'+m.id+'"] .vol');
+  if(el)el.textContent='📊 $'+formatNum(Math.round(m.vol));
+}
+
+function applyAccount(a){
+  user.balance=a.balance;
+  positions=a.positions;
+  const el=document.querySelector('.balance-badge span');
+  if(el)el.textContent='$'+user.balance.toFixed(2);
 }
 
 function render(){
@@ -592,20 +4489,50 @@ function render(){
 
 function renderHeader(){
   if(tab==='home'||tab==='markets'){
-    $('#header').innerHTML='<div class="header-top"><h1>📈 Predict X <span class="live">LIVE</span></h1><div class="user-info"><div class="balance-badge">💰 <span>$'+user.balance.toFixed(2)+'</span></div><button class="avatar-btn" id="profileBtn">👤</button></div></div><div class="search"><span>🔍</span><input id="searchInput" placeholder="Search markets..." value="'+search+'"></div><div class="pills"><button class="pill'+(cat==='all'?' active':'')+'" data-cat="all">All</button><button class="pill'+(cat==='crypto'?' active':'')+'" data-cat="crypto">₿ Crypto</button><button class="pill'+(cat==='economy'?' active':'')+'" data-cat="economy">📈 Economy</button><button class="pill'+(cat==='sports'?' active':'')+'" data-cat="sports">🏈 Sports</button><button class="pill'+(cat==='tech'?' active':'')+'" data-cat="tech">💻 Tech</button><button class="pill'+(cat==='politics'?' active':'')+'" data-cat="politics">🏛️ Politics</button><button class="pill'+(cat==='entertainment'?' active':'')+'" data-cat="entertainment">🎬 Entertainment</button></div>';
+    $('#header').innerHTML='<div class="header-top"><h1>📈 Predict X <span class="live">LIVE</span></h1><div class="user-info"><div class="balance-badge">💰 <span>$'+user.balance.toFixed(2)+'</span></div>'+bellHTML()+'<button class="avatar-btn" id="profileBtn">👤</button></div></div><div class="search"><span>🔍</span><input id="searchInput" placeholder="Search markets..." value="'+esc(search)+'"><select id="sortSelect">'+Object.keys(SORTS).map(k=>'<option value="'+k+'"'+(k===sort?' selected':'')+'>'+SORTS[k]+'</option>').join('')+'</select></div><div class="pills"><button class="pill'+(cat==='all'?' active':'')+'" data-cat="all">All</button><button class="pill'+(cat==='watching'?' active':'')+'" data-cat="watching">⭐ Watching</button><button class="pill'+(cat==='crypto'?' active':'')+'" data-cat="crypto">₿ Crypto</button><button class="pill'+(cat==='economy'?' active':'')+'" data-cat="economy">📈 Economy</button><button class="pill'+(cat==='sports'?' active':'')+'" data-cat="sports">🏈 Sports</button><button class="pill'+(cat==='tech'?' active':'')+'" data-cat="tech">💻 Tech</button><button class="pill'+(cat==='politics'?' active':'')+'" data-cat="politics">🏛️ Politics</button><button class="pill'+(cat==='entertainment'?' active':'')+'" data-cat="entertainment">🎬 Entertainment</button></div>';
     $$('.pill').forEach(p=>p.onclick=async()=>{cat=p.dataset.cat;$$('.pill').forEach(x=>x.classList.remove('active'));p.classList.add('active');await loadMarkets();renderContent();});
     $('#searchInput').oninput=async(e)=>{search=e.target.value;await loadMarkets();renderContent();};
+    $('#sortSelect').onchange=async(e)=>{sort=e.target.value;await loadMarkets();renderContent();};
     $('#profileBtn').onclick=()=>{tab='profile';render();};
   }else{
-    $('#header').innerHTML='<div class="header-top"><h1>'+(tab==='wallet'?'💰 Wallet':'👤 Profile')+'</h1><div class="user-info"><div class="balance-badge">💰 <span>$'+user.balance.toFixed(2)+'</span></div></div></div>';
+    $('#header').innerHTML='<div class="header-top"><h1>'+(tab==='wallet'?'💰 Wallet':'👤 Profile')+'</h1><div class="user-info"><div class="balance-badge">💰 <span>$'+user.balance.toFixed(2)+'</span></div>'+bellHTML()+'</div></div>';
   }
+  $('#bellBtn').onclick=showNotifications;
+}
+
+function bellHTML(){
+  return '<button class="avatar-btn bell" id="bellBtn">🔔<span class="badge" id="bellBadge"'+(unread?'':' style="display:none"')+'>'+unread+'</span></button>';
+}
+
+function updateBell(){
+  const b=$('#bellBadge');
+  if(!b)return;
+  b.textContent=unread;
+  b.style.display=unread?'':'none';
+}
+
+async function showNotifications(){
+  try{
+    const data=await api('/api/notifications');
+    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>🔔 Notifications</h2><button class="modal-close" id="closeModal">✕</button></div><div class="book-box">'+(data.notifications.length?data.notifications.map(n=>'<div class="notif'+(n.read?'':' unread')+'" data-market="'+n.marketId+'"><div class="notif-title">'+esc(n.title)+'</div><div>'+esc(n.body)+'</div><div class="tx-date">'+new Date(n.createdAt).toLocaleString()+'</div></div>').join(''):'<div class="empty">No notifications yet. Set a price alert from any market.</div>')+'</div></div>';
+    $('#modal').classList.add('open');
+    $('#closeModal').onclick=closeModal;
+    $$('.notif').forEach(n=>n.onclick=()=>showMarketModal(parseInt(n.dataset.market)));
+    if(data.unread){
+      const r=await api('/api/notifications/read',{method:'POST',body:'{}'});
+      unread=r.unread;
+      updateBell();
+    }
+  }catch(e){alert('Error loading notifications');}
 }
 
 function renderContent(){
   const c=$('#content');
   if(tab==='home'||tab==='markets'){
-    c.innerHTML='<div class="stats-bar"><span>Showing '+markets.length+' markets</span><span>Updated live</span></div>'+markets.map(cardHTML).join('');
+    c.innerHTML='<div class="stats-bar"><span id="listCount">Showing '+markets.length+' of '+totalMarkets+' markets</span><span>Updated live</span></div><div id="marketList">'+markets.map(cardHTML).join('')+'</div><div class="list-end" id="listEnd">'+(nextCursor?'Loading more…':'')+'</div>';
     $$('.card').forEach(card=>{card.onclick=()=>showMarketModal(parseInt(card.dataset.id));});
+    listObserver.disconnect();
+    listObserver.observe($('#listEnd'));
   }else if(tab==='wallet'){
     renderWallet();
   }else{
@@ -614,48 +4541,327 @@ function renderContent(){
 }
 
 function cardHTML(m){
-  return '<div class="card" data-id="'+m.id+'"><div class="card-head"><span class="card-cat" style="color:'+m.color+'">'+m.icon+' '+m.catName+'</span><span class="card-meta">👥 '+formatNum(m.users)+' • '+m.days+'d</span></div><h3>'+m.title+'</h3><div class="prices"><div class="pbtn yes"><div class="side"><div class="dot g"></div>YES</div><span class="price yes-p">'+m.yes+'¢</span></div><div class="pbtn no"><div class="side"><div class="dot r"></div>NO</div><span class="price no-p">'+m.no+'¢</span></div></div><div class="card-foot"><span>📊 $'+formatNum(m.vol)+'</span><span>#'+(m.id+1)+'</span></div></div>';
+  return '<div class="card" data-id="'+m.id+'"><div class="card-head"><span class="card-cat" style="color:'+m.color+'">'+m.icon+' '+m.catName+'</span><span class="card-meta">👥 '+formatNum(m.users)+' • ⏱ '+countdownHTML(m)+'</span></div><h3>'+esc(m.title)+'</h3>'+(m.outcome?resolvedHTML(m):outcomesHTML(m)+statusHTML(m))+'<div class="card-foot"><span class="vol">📊 $'+formatNum(Math.round(m.vol))+'</span>'+(m.change24h?'<span class="'+(m.change24h>0?'grn':'red')+'">'+(m.change24h>0?'▲ ':'▼ ')+Math.abs(m.change24h).toFixed(1)+'¢ 24h</span>':'')+'<span>#'+(m.id+1)+'</span></div></div>';
+}
+
+// Binary markets keep the YES/NO buttons, categorical ones list their leading outcomes
+function outcomesHTML(m){
+  if(m.type==='binary')return '<div class="prices">'+m.outcomes.map(o=>'<div class="pbtn '+o.id.toLowerCase()+'"><div class="side"><div class="dot '+(o.id==='YES'?'g':'r')+'"></div>'+o.id+'</div><span class="price" data-o="'+o.id+'">'+m.prices[o.id]+'¢</span></div>').join('')+'</div>';
+  const top=[...m.outcomes].sort((a,b)=>m.prices[b.id]-m.prices[a.id]);
+  return '<div class="outcome-list">'+top.slice(0,4).map(o=>'<div class="orow"><div class="obar" style="width:'+m.prices[o.id]+'%"></div><span>'+esc(o.label)+'</span><span class="price" data-o="'+esc(o.id)+'">'+m.prices[o.id]+'¢</span></div>').join('')+(top.length>4?'<div class="orow more">+'+(top.length-4)+' more</div>':'')+'</div>';
+}
+
+function statusHTML(m){
+  if(m.status==='halted')return '<div class="status-note halted">⏸ Trading halted'+(m.haltReason?' · '+esc(m.haltReason):'')+'</div>';
+  if(m.status==='closed')return '<div class="status-note">🔒 Closed · awaiting resolution</div>';
+  if(m.status==='draft')return '<div class="status-note">🕒 Opens '+new Date(m.openAt).toLocaleString()+'</div>';
+  return '';
+}
+
+// Countdowns carry their timestamps so one timer can tick every one on screen
+function countdownHTML(m){
+  return '<span class="countdown" data-open="'+m.openAt+'" data-close="'+m.closeAt+'" data-status="'+m.status+'">'+countdownText(m.openAt,m.closeAt,m.status)+'</span>';
+}
+
+function countdownText(openAt,closeAt,status){
+  if(status==='closed')return 'closed';
+  if(status==='resolved'||status==='voided')return 'ended';
+  const ms=(status==='draft'?openAt:closeAt)-Date.now();
+  if(ms<=0)return status==='draft'?'opening…':'closing…';
+  const d=Math.floor(ms/864e5),h=Math.floor(ms/36e5)%24,mi=Math.floor(ms/6e4)%60,sec=Math.floor(ms/1e3)%60;
+  const left=d?d+'d '+h+'h':h?h+'h '+mi+'m':mi+'m '+String(sec).padStart(2,'0')+'s';
+  return status==='draft'?'opens in '+left:left;
+}
+
+function tickCountdowns(){
+  $$('.countdown').forEach(el=>el.textContent=countdownText(+el.dataset.open,+el.dataset.close,el.dataset.status));
+}
+
+setInterval(tickCountdowns,1000);
+
+function oracleHTML(m){
+  const o=m.oracle,p=m.proposal;
+  let html='<p class="criteria"><b>🔮 Oracle:</b> YES if '+esc(o.path)+' '+esc(o.comparator)+' '+o.threshold+' at '+esc(new URL(o.url).host)+'</p>';
+  if(p&&p.status==='pending')html+='<p class="criteria">Oracle proposes <b>'+p.outcome+'</b> ('+p.value+'), final '+new Date(p.disputeEndsAt).toLocaleString()+' unless an admin overrides</p>';
+  else if(p&&p.status==='overridden')html+='<p class="criteria">Oracle proposed '+p.outcome+' (overridden by an admin)</p>';
+  else if(o.failed&&!m.outcome)html+='<p class="criteria">Oracle could not be read; awaiting manual resolution</p>';
+  return html;
+}
+
+function resolvedHTML(m){
+  const o=m.outcome;
+  if(o==='INVALID')return '<div class="resolved invalid">⚪ Resolved INVALID · refunded</div>';
+  if(m.type==='binary')return '<div class="resolved '+o.toLowerCase()+'">'+(o==='YES'?'✅':'❌')+' Resolved '+o+'</div>';
+  return '<div class="resolved yes">🏆 Resolved '+esc(outcomeLabel(m,o))+'</div>';
+}
+
+function outcomeLabel(m,id){
+  const o=m.outcomes.find(x=>x.id===id);
+  return o?o.label:id;
 }
 
 async function showMarketModal(id){
   try{
     const data=await api('/api/markets/'+id);
     const m=data.market;
-    const pts=m.history.map((v,i)=>(i*(100/30))+','+(100-v)).join(' ');
-    const change=m.yes-m.history[0];
-    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2 style="color:'+m.color+'">'+m.icon+' '+m.catName+'</h2><button class="modal-close" id="closeModal">✕</button></div><div class="detail-box"><h3>'+m.title+'</h3><p>Trade on the outcome. Buy YES if you think it will happen, NO if it won\\'t. Shares pay $1 if correct.</p><div class="detail-stats"><div class="dstat"><div>⏱️ '+m.days+'d</div><div>Remaining</div></div><div class="dstat"><div>👥 '+formatNum(m.users)+'</div><div>Traders</div></div><div class="dstat"><div>📊 $'+formatNum(m.vol)+'</div><div>Volume</div></div></div></div><div class="chart-box"><span class="chart-price">'+m.yes+'¢</span><span class="chart-chg '+(change>=0?'up':'down')+'">'+(change>=0?'+':'')+change.toFixed(1)+'%</span><div class="chart-svg"><svg viewBox="0 0 100 100" preserveAspectRatio="none"><defs><linearGradient id="cg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="#30D158" stop-opacity="0.3"/><stop offset="100%" stop-color="#30D158" stop-opacity="0"/></linearGradient></defs><polygon points="0,100 '+pts+' 100,100" fill="url(#cg)"/><polyline points="'+pts+'" fill="none" stroke="#30D158" stroke-width="2"/></svg></div><div class="chart-labels"><span>30d ago</span><span>Now</span></div></div><div class="trade-btns"><div class="tbtn yes" id="buyYes"><div>YES</div><div>'+m.yes+'¢</div><div>Buy YES</div></div><div class="tbtn no" id="buyNo"><div>NO</div><div>'+m.no+'¢</div><div>Buy NO</div></div></div><div id="tradeForm"></div></div>';
+    const binary=m.type==='binary';
+    const tradable=m.status==='open';
+    chartOutcome=m.outcomes[0].id;
+    openMarketId=m.id;
+    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2 style="color:'+m.color+'">'+m.icon+' '+m.catName+'</h2><div><button class="modal-close" id="watchBtn" title="Watch">'+(watchlist.has(m.id)?'★':'☆')+'</button><button class="modal-close" id="closeModal">✕</button></div></div><div class="detail-box"><h3>'+esc(m.title)+'</h3><p>'+(m.description?esc(m.description):binary?'Trade on the outcome. Buy YES if you think it will happen, NO if it won\\'t. Shares pay $1 if correct.':'Buy shares in the answer you think is right. Shares of the winning outcome pay $1.')+'</p>'+(m.criteria?'<p class="criteria"><b>'+(binary?'Resolves YES if:':'Resolution:')+'</b> '+esc(m.criteria)+'</p>':'')+(m.status==='draft'?'<p class="criteria">Opens '+new Date(m.openAt).toLocaleString()+'</p>':'')+'<p class="criteria">Closes '+new Date(m.closeAt).toLocaleString()+'</p>'+(m.oracle?oracleHTML(m):'')+'<div class="detail-stats"><div class="dstat"><div>⏱️ '+countdownHTML(m)+'</div><div>Remaining</div></div><div class="dstat"><div>👥 '+formatNum(m.users)+'</div><div>Traders</div></div><div class="dstat"><div>📊 $'+formatNum(m.vol)+'</div><div>Volume</div></div></div></div><div class="chart-box" id="chartBox"></div>'+(m.outcome?resolvedHTML(m):!tradable?statusHTML(m):(binary?'<div class="trade-btns">'+m.outcomes.map(o=>'<div class="tbtn '+o.id.toLowerCase()+'" data-o="'+o.id+'"><div>'+o.id+'</div><div>'+m.prices[o.id]+'¢</div><div>Buy '+o.id+'</div></div>').join('')+'</div>':'<div class="outcome-list">'+m.outcomes.map(o=>'<div class="orow pick" data-o="'+esc(o.id)+'"><div class="obar" style="width:'+m.prices[o.id]+'%"></div><span>'+esc(o.label)+'</span><span>'+m.prices[o.id]+'¢</span></div>').join('')+'</div>')+'<div id="tradeForm"></div><div class="book-box" id="bookBox"></div>')+(m.outcome?'':'<div class="book-box" id="alertBox"></div>')+'<div class="book-box comments" id="comments"></div>'+(user.isAdmin&&!m.outcome?'<div class="admin-box"><h4>Admin · Resolve market</h4><div class="admin-btns">'+m.outcomes.map(o=>'<button data-outcome="'+esc(o.id)+'">'+esc(binary?o.id:o.label)+'</button>').join('')+'<button data-outcome="INVALID">INVALID</button>'+(['draft','open','halted'].includes(m.status)?'<button class="halt-btn" id="haltBtn">'+(m.halted?'▶️ Resume trading':'⏸ Halt trading')+'</button>':'')+'</div></div>':'')+'</div>';
     $('#modal').classList.add('open');
     $('#closeModal').onclick=closeModal;
-    $('#buyYes').onclick=()=>showTradeForm(m.id,'YES',m.yes);
-    $('#buyNo').onclick=()=>showTradeForm(m.id,'NO',m.no);
+    $$('.tbtn[data-o],.orow.pick').forEach(b=>b.onclick=()=>{
+      const o=m.outcomes.find(x=>x.id===b.dataset.o);
+      $$('.orow.pick').forEach(x=>x.classList.toggle('active',x===b));
+      if(!binary&&chartOutcome!==o.id){chartOutcome=o.id;renderChart(m,chartRange);}
+      showTradeForm(m,o);
+    });
+    $$('.admin-btns button[data-outcome]').forEach(b=>b.onclick=()=>resolveMarket(m.id,b.dataset.outcome,outcomeLabel(m,b.dataset.outcome)));
+    if($('#haltBtn'))$('#haltBtn').onclick=()=>toggleHalt(m);
+    renderChart(m,chartRange);
+    if(tradable&&binary)renderBook(m.id);
+    $('#watchBtn').onclick=()=>toggleWatch(m.id);
+    if(!m.outcome)renderAlerts(m);
+    loadComments(m.id);
   }catch(e){alert('Error loading market');}
 }
 
-function showTradeForm(marketId,side,price){
+async function toggleWatch(id){
+  const on=!watchlist.has(id);
+  try{
+    await api('/api/watchlist/'+id,{method:on?'PUT':'DELETE'});
+    on?watchlist.add(id):watchlist.delete(id);
+    if($('#watchBtn')&&openMarketId===id)$('#watchBtn').textContent=on?'★':'☆';
+    if(cat==='watching'){await loadMarkets();renderContent();}
+  }catch(e){alert(e.message);}
+}
+
+async function renderAlerts(m){
+  let alerts=[];
+  try{alerts=(await api('/api/alerts?marketId='+m.id)).alerts;}catch(e){}
+  if(openMarketId!==m.id||!$('#alertBox'))return;
+  const desc=a=>esc(a.label)+(a.kind==='cross'?' crosses '+a.direction+' '+a.price+'¢':' moves '+a.points+'¢ in '+a.window+' min');
+  $('#alertBox').innerHTML='<div class="section-head"><h3>🔔 Price Alerts</h3><span>'+alerts.filter(a=>a.active).length+' active</span></div>'+alerts.map(a=>'<div class="alert-row'+(a.active?'':' done')+'"><span>'+desc(a)+(a.triggers?' · fired '+a.triggers+'×':'')+'</span><button data-alert="'+a.id+'">✕</button></div>').join('')+'<div class="alert-form"><select id="alOutcome">'+m.outcomes.map(o=>'<option value="'+esc(o.id)+'">'+esc(m.type==='binary'?o.id:o.label)+'</option>').join('')+'</select><select id="alKind"><option value="cross">crosses</option><option value="move">moves</option></select><input id="alValue" type="number" min="1" max="99" placeholder="¢"><button class="btn-p" id="alAdd">Add</button></div><div class="c-note" id="alHint">Notify me when the price reaches this level</div>';
+  $('#alKind').onchange=()=>{$('#alHint').textContent=$('#alKind').value==='cross'?'Notify me when the price reaches this level':'Notify me when the price moves this many points within an hour';};
+  $$('.alert-row button').forEach(b=>b.onclick=async()=>{
+    try{await api('/api/alerts/'+b.dataset.alert,{method:'DELETE'});renderAlerts(m);}catch(e){alert(e.message);}
+  });
+  $('#alAdd').onclick=async()=>{
+    const kind=$('#alKind').value;
+    const value=Number($('#alValue').value);
+    const body={marketId:m.id,outcome:$('#alOutcome').value,kind};
+    if(kind==='cross')body.price=value;else body.points=value;
+    try{await api('/api/alerts',{method:'POST',body:JSON.stringify(body)});renderAlerts(m);}catch(e){alert(e.message);}
+  };
+}
+
+async function loadComments(marketId){
+  try{
+    const data=await api('/api/markets/'+marketId+'/comments?sort='+commentSort);
+    if(openMarketId===marketId&&$('#comments'))renderComments(marketId,data);
+  }catch(e){}
+}
+
+function renderComments(marketId,data){
+  $('#comments').innerHTML='<div class="section-head"><h3>💬 Discussion</h3><span class="c-sort">'+['top','new'].map(s=>'<a data-sort="'+s+'"'+(s===commentSort?' class="active"':'')+'>'+(s==='top'?'Top':'Newest')+'</a>').join(' · ')+'</span></div>'+(data.muted?'<div class="c-note">You have been muted and cannot post comments.</div>':composeHTML(null))+(data.comments.length?data.comments.map(commentHTML).join(''):'<div class="c-note">No comments yet. Share your evidence.</div>');
+  $('#comments').onclick=e=>commentAction(marketId,e);
+}
+
+function composeHTML(parentId){
+  return '<div class="c-compose" data-parent="'+(parentId||'')+'"><textarea maxlength="2000" placeholder="'+(parentId?'Write a reply…':'Share evidence or an argument…')+'"></textarea><button class="btn-p" data-act="post">'+(parentId?'Reply':'Post')+'</button></div>';
+}
+
+// Every user-supplied string goes through esc(); the author's position is shown as held now, not when they posted
+function commentHTML(c){
+  const gone=c.deleted?'[deleted]':c.body===null?'[hidden by a moderator]':'';
+  const pos=c.position.map(p=>'<span class="c-pos '+(p.side==='NO'?'no':p.side==='YES'?'yes':'')+'">'+esc(p.label||p.side)+' · '+Math.round(p.shares)+'</span>').join('');
+  const acts=c.deleted?'':'<button data-act="upvote" class="'+(c.upvoted?'on':'')+'">▲ '+c.upvotes+'</button><button data-act="reply">Reply</button>'+(c.mine?(c.hidden?'':'<button data-act="edit">Edit</button>')+'<button data-act="delete">Delete</button>':'<button data-act="report">Report</button>')+(user.isAdmin?'<button data-act="'+(c.hidden?'unhide':'hide')+'">'+(c.hidden?'Unhide':'Hide')+'</button>'+(c.mine?'':'<button data-act="mute" data-user="'+esc(c.author)+'">Mute</button><button data-act="delete">Delete</button>'):'');
+  return '<div class="comment" data-id="'+c.id+'"><div class="c-head"><a class="c-author" data-act="profile" data-user="'+esc(c.author)+'">@'+esc(c.author)+'</a>'+pos+'<span class="c-time">'+new Date(c.createdAt).toLocaleString([],{month:'short',day:'numeric',hour:'2-digit',minute:'2-digit'})+(c.editedAt?' · edited':'')+'</span></div>'+(gone?'<div class="c-body gone">'+gone+'</div>':'<div class="c-body'+(c.hidden?' hidden':'')+'">'+esc(c.body)+'</div>')+(c.hidden&&c.hiddenReason?'<div class="c-note">Hidden: '+esc(c.hiddenReason)+'</div>':'')+(c.reports?'<div class="c-note">⚑ '+c.reports+' report'+(c.reports>1?'s':'')+'</div>':'')+'<div class="c-actions">'+acts+'</div><div class="c-replies">'+c.replies.map(commentHTML).join('')+'</div></div>';
+}
+
+async function commentAction(marketId,e){
+  const el=e.target.closest('[data-act],[data-sort]');
+  if(!el)return;
+  if(el.dataset.sort){commentSort=el.dataset.sort;return loadComments(marketId);}
+  const node=el.closest('.comment');
+  const id=node?parseInt(node.dataset.id):null;
+  const post=(path,body)=>api(path,{method:'POST',body:JSON.stringify(body||{})});
+  try{
+    switch(el.dataset.act){
+      case 'profile':return showUserProfile(el.dataset.user);
+      case 'reply':
+        if(!node.querySelector(':scope>.c-compose'))node.querySelector(':scope>.c-actions').insertAdjacentHTML('afterend',composeHTML(id));
+        return node.querySelector(':scope>.c-compose textarea').focus();
+      case 'post':{
+        const box=el.closest('.c-compose');
+        const body=box.querySelector('textarea').value;
+        if(!body.trim())return;
+        await post('/api/markets/'+marketId+'/comments',{body,parentId:box.dataset.parent?parseInt(box.dataset.parent):null});
+        break;
+      }
+      case 'edit':{
+        const body=prompt('Edit comment',node.querySelector(':scope>.c-body').textContent);
+        if(body===null)return;
+        await api('/api/comments/'+id,{method:'PATCH',body:JSON.stringify({body})});
+        break;
+      }
+      case 'delete':
+        if(!confirm('Delete this comment?'))return;
+        await api('/api/comments/'+id,{method:'DELETE'});
+        break;
+      case 'upvote':await post('/api/comments/'+id+'/upvote');break;
+      case 'report':{
+        const reason=prompt('Why should a moderator look at this comment?','');
+        if(!reason)return;
+        await post('/api/comments/'+id+'/report',{reason});
+        return alert('Thanks, a moderator will review it.');
+      }
+      case 'hide':case 'unhide':{
+        const reason=el.dataset.act==='hide'?prompt('Reason for hiding (optional)',''):'';
+        if(reason===null)return;
+        await post('/api/comments/'+id+'/moderate',{action:el.dataset.act,reason});
+        break;
+      }
+      case 'mute':{
+        const reason=prompt('Mute @'+el.dataset.user+'? They will no longer be able to comment. Reason (optional)','');
+        if(reason===null)return;
+        await post('/api/admin/mute',{username:el.dataset.user,muted:true,reason});
+        alert('@'+el.dataset.user+' has been muted');
+        break;
+      }
+    }
+    loadComments(marketId);
+  }catch(err){alert(err.message);}
+}
+
+const CHART_RANGES={'6H':{res:'1m',span:6*3600e3},'1D':{res:'1h',span:864e5},'1W':{res:'1h',span:7*864e5},'1M':{res:'1d',span:30*864e5},'ALL':{res:'1d',span:0}};
+
+async function renderChart(m,range){
+  chartRange=range;
+  const r=CHART_RANGES[range];
+  const to=Date.now();
+  let candles=[];
+  try{
+    const data=await api('/api/markets/'+m.id+'/candles?'+new URLSearchParams({outcome:chartOutcome,resolution:r.res,from:r.span?to-r.span:0,to}));
+    candles=data.candles;
+  }catch(e){}
+  if(!$('#chartBox'))return;
+  const last=candles.length?candles[candles.length-1].c:m.prices[chartOutcome];
+  const first=candles.length?candles[0].o:last;
+  const change=last-first;
+  const from=r.span?to-r.span:(candles.length?candles[0].t:to);
+  const x=t=>((t-from)/Math.max(1,to-from)*100).toFixed(2);
+  const pts=candles.map(c=>x(Math.max(c.t,from))+','+(100-c.c).toFixed(2)).concat(candles.length?[100+','+(100-last).toFixed(2)]:[]).join(' ');
+  const fmt=t=>range==='6H'||range==='1D'?new Date(t).toLocaleTimeString([],{hour:'2-digit',minute:'2-digit'}):new Date(t).toLocaleDateString([],{month:'short',day:'numeric'});
+  const vol=candles.reduce((a,c)=>a+c.v,0);
+  $('#chartBox').innerHTML=(m.type==='binary'?'':'<div class="chart-labels"><span>'+esc(outcomeLabel(m,chartOutcome))+'</span></div>')+'<span class="chart-price">'+last.toFixed(1)+'¢</span><span class="chart-chg '+(change>=0?'up':'down')+'">'+(change>=0?'+':'')+change.toFixed(1)+'¢</span><div class="chart-ranges">'+Object.keys(CHART_RANGES).map(k=>'<button class="'+(k===range?'active':'')+'" data-range="'+k+'">'+k+'</button>').join('')+'</div><div class="chart-svg">'+(candles.length?'<svg viewBox="0 0 100 100" preserveAspectRatio="none"><defs><linearGradient id="cg" x1="0" y1="0" x2="0" y2="1"><stop offset="0%" stop-color="#30D158" stop-opacity="0.3"/><stop offset="100%" stop-color="#30D158" stop-opacity="0"/></linearGradient></defs><polygon points="'+x(Math.max(candles[0].t,from))+',100 '+pts+' 100,100" fill="url(#cg)"/><polyline points="'+pts+'" fill="none" stroke="#30D158" stroke-width="2" vector-effect="non-scaling-stroke"/></svg>':'<div class="ladder-empty">No price history yet</div>')+'</div><div class="chart-labels"><span>'+fmt(from)+'</span><span>'+fmt(from+(to-from)/2)+'</span><span>Now</span></div><div class="chart-labels"><span>Vol $'+formatNum(Math.round(vol))+'</span></div>';
+  $$('.chart-ranges button').forEach(b=>b.onclick=()=>renderChart(m,b.dataset.range));
+}
+
+async function renderBook(marketId){
+  try{
+    const [book,mine]=await Promise.all([api('/api/markets/'+marketId+'/book'),api('/api/orders')]);
+    const asks=book.no.map(l=>({price:100-l.price,quantity:l.quantity})).sort((a,b)=>b.price-a.price);
+    const maxQty=Math.max(1,...book.yes.map(l=>l.quantity),...asks.map(l=>l.quantity));
+    const row=(l,cls)=>'<div class="ladder-row '+cls+'"><div class="ladder-bar" style="width:'+(l.quantity/maxQty*100)+'%"></div><span>'+l.price+'¢</span><span>'+formatNum(l.quantity)+'</span></div>';
+    const orders=mine.orders.filter(o=>o.marketId===marketId);
+    $('#bookBox').innerHTML='<div class="section-head"><h3>Order Book · YES</h3><span>Price · Shares</span></div>'+(asks.length||book.yes.length?asks.map(l=>row(l,'ask')).join('')+'<div class="ladder-mid"></div>'+book.yes.map(l=>row(l,'bid')).join(''):'<div class="ladder-empty">No resting orders</div>')+'<div class="limit-form"><select id="limitSide"><option>YES</option><option>NO</option></select><input type="number" id="limitPrice" min="1" max="99" placeholder="Price ¢"><input type="number" id="limitQty" min="1" placeholder="Shares"><button id="limitBtn">Place</button></div>'+orders.map(o=>'<div class="my-order"><span>'+o.side+' '+o.remaining+' @ '+o.price+'¢</span><button data-id="'+o.id+'">Cancel</button></div>').join('');
+    $('#limitBtn').onclick=()=>placeOrder(marketId);
+    $$('.my-order button').forEach(b=>b.onclick=()=>cancelOrder(marketId,b.dataset.id));
+  }catch(e){}
+}
+
+async function placeOrder(marketId){
+  const side=$('#limitSide').value;
+  const price=parseInt($('#limitPrice').value);
+  const quantity=parseInt($('#limitQty').value);
+  if(!price||!quantity)return;
+  try{
+    const data=await api('/api/orders',{method:'POST',body:JSON.stringify({marketId,side,price,quantity})});
+    user.balance=data.balance;
+    renderHeader();
+    const filled=data.fills.reduce((a,f)=>a+f.shares,0);
+    if(filled)alert('✅ Filled '+filled+' of '+quantity+' '+side+' shares');
+    renderBook(marketId);
+  }catch(e){alert('Order failed: '+e.message);}
+}
+
+async function cancelOrder(marketId,orderId){
+  try{
+    const data=await api('/api/orders/'+orderId,{method:'DELETE'});
+    user.balance=data.balance;
+    renderHeader();
+    renderBook(marketId);
+  }catch(e){alert('Cancel failed: '+e.message);}
+}
+
+async function resolveMarket(marketId,outcome,label){
+  if(!confirm('Resolve this market as '+label+'? This pays out all positions and cannot be undone.'))return;
+  try{
+    const data=await api('/api/markets/'+marketId+'/resolve',{method:'POST',body:JSON.stringify({outcome})});
+    alert('Resolved '+label+' · settled '+data.settled+' positions for $'+data.paid.toFixed(2));
+    await loadMarkets();
+    showMarketModal(marketId);
+    renderContent();
+  }catch(e){alert('Resolve failed: '+e.message);}
+}
+
+async function toggleHalt(m){
+  const reason=m.halted?'':prompt('Reason for halting trading (optional)','');
+  if(reason===null)return;
+  try{
+    await api('/api/markets/'+m.id+(m.halted?'/resume':'/halt'),{method:'POST',body:JSON.stringify(reason?{reason}:{})});
+    showMarketModal(m.id);
+  }catch(e){alert((m.halted?'Resume':'Halt')+' failed: '+e.message);}
+}
+
+function showTradeForm(m,o){
+  const marketId=m.id;
+  const side=o.id;
+  const name=m.type==='binary'?o.id:o.label;
   const max=Math.floor(user.balance);
-  $('#tradeForm').innerHTML='<div class="trade-input"><label>Amount to invest</label><input type="number" id="tradeAmount" value="10" min="1" max="'+max+'" placeholder="Enter amount"></div><div class="trade-summary"><div class="trade-row"><span>Price per share</span><span>'+price+'¢</span></div><div class="trade-row"><span>Shares</span><span id="tradeShares">'+Math.floor(10/(price/100))+'</span></div><div class="trade-row"><span>Potential payout</span><span id="tradePayout">$'+Math.floor(10/(price/100)).toFixed(2)+'</span></div></div><button class="trade-confirm '+side.toLowerCase()+'" id="tradeBtn">Buy '+side+' for $<span id="tradeTotal">10</span></button>';
-  $('#tradeAmount').oninput=(e)=>{
-    const amt=parseFloat(e.target.value)||0;
-    const shares=Math.floor(amt/(price/100));
-    $('#tradeShares').textContent=shares;
-    $('#tradePayout').textContent='$'+shares.toFixed(2);
-    $('#tradeTotal').textContent=amt;
-    $('#tradeBtn').disabled=amt<=0||amt>user.balance;
+  $('#tradeForm').innerHTML='<div class="trade-input"><label>Amount to invest</label><input type="number" id="tradeAmount" value="10" min="1" max="'+max+'" placeholder="Enter amount"></div><div class="trade-summary"><div class="trade-row"><span>Current price</span><span id="tradePrice">'+m.prices[side]+'¢</span></div><div class="trade-row"><span>Avg fill price</span><span id="tradeAvg">–</span></div><div class="trade-row"><span>Slippage</span><span id="tradeSlip">–</span></div><div class="trade-row"><span>Shares</span><span id="tradeShares">–</span></div><div class="trade-row"><span>Price after trade</span><span id="tradeAfter">–</span></div><div class="trade-row"><span>Fee</span><span id="tradeFee">–</span></div><div class="trade-row"><span>Potential payout</span><span id="tradePayout">–</span></div></div><button class="trade-confirm '+(side==='NO'?'no':'yes')+'" id="tradeBtn" disabled>Buy '+esc(name)+' for $<span id="tradeTotal">10</span></button>';
+  let seq=0;
+  const update=async()=>{
+    const amt=parseFloat($('#tradeAmount').value)||0;
+    const mine=++seq;
+    $('#tradeBtn').disabled=true;
+    if(amt<=0||amt>user.balance)return;
+    try{
+      const {quote}=await api('/api/trade/quote?'+new URLSearchParams({marketId,outcome:side,amount:amt}));
+      if(mine!==seq)return;
+      $('#tradePrice').textContent=quote.price.toFixed(1)+'¢';
+      $('#tradeAvg').textContent=quote.avgPrice.toFixed(2)+'¢';
+      $('#tradeSlip').textContent=quote.slippage.toFixed(2)+'%';
+      $('#tradeShares').textContent=quote.shares;
+      $('#tradeAfter').textContent=quote.newPrice.toFixed(1)+'¢';
+      $('#tradeFee').textContent='$'+quote.fee.toFixed(2)+' ('+(quote.feeRate/100)+'%)';
+      $('#tradePayout').textContent='$'+quote.shares.toFixed(2);
+      $('#tradeTotal').textContent=quote.total.toFixed(2);
+      $('#tradeBtn').disabled=quote.shares<1;
+    }catch(e){}
   };
-  $('#tradeBtn').onclick=()=>executeTrade(marketId,side);
+  $('#tradeAmount').oninput=update;
+  const key=idempotencyKey();
+  $('#tradeBtn').onclick=()=>executeTrade(marketId,side,name,key);
+  update();
 }
 
-async function executeTrade(marketId,side){
+// One key per opened form, so a retried or double-sent request can't fill twice
+function idempotencyKey(){return Date.now().toString(36)+'-'+Math.random().toString(36).slice(2);}
+
+async function executeTrade(marketId,side,name,key){
   const amount=parseFloat($('#tradeAmount').value);
   if(!amount||amount<=0||amount>user.balance)return;
   $('#tradeBtn').disabled=true;
   try{
-    const data=await api('/api/trade',{method:'POST',body:JSON.stringify({marketId,side,amount})});
+    const data=await api('/api/trade',{method:'POST',headers:{'Idempotency-Key':key},body:JSON.stringify({marketId,outcome:side,amount})});
     user.balance=data.balance;
     positions.push({marketId,side,shares:data.shares});
     closeModal();
     render();
-    alert('✅ Bought '+data.shares+' '+side+' shares!');
+    alert('✅ Bought '+data.shares+' '+name+' shares at '+data.avgPrice.toFixed(2)+'¢ for $'+data.cost.toFixed(2)+(data.fee?' + $'+data.fee.toFixed(2)+' fee':'')+'!');
   }catch(e){
     alert('Trade failed: '+e.message);
     $('#tradeBtn').disabled=false;
@@ -663,56 +4869,352 @@ async function executeTrade(marketId,side){
 }
 
 async function renderWallet(){
+  let pf={balance:user.balance,reserved:0,positionsValue:0,equity:user.balance,totals:{unrealizedPnl:0,realizedPnl:0},positions:[],exposure:[],equityCurve:[]};
   try{
-    const data=await api('/api/me');
-    positions=data.positions;
-    user=data.user;
+    pf=await api('/api/portfolio');
+    user.balance=pf.balance;
   }catch(e){}
-  const posValue=positions.reduce((a,p)=>{
-    const m=markets.find(x=>x.id===p.marketId)||{yes:50,no:50};
-    const cur=p.side==='YES'?m.yes:m.no;
-    return a+p.shares*(cur/100);
-  },0);
-  $('#content').innerHTML='<div class="wallet-hero"><div class="wallet-label">Total Balance</div><div class="wallet-amount">$'+(user.balance+posValue).toFixed(2)+'</div><div class="wallet-sub"><div><div class="val">$'+user.balance.toFixed(2)+'</div><div class="lbl">Available</div></div><div><div class="val">$'+posValue.toFixed(2)+'</div><div class="lbl">In Positions</div></div></div><div class="wallet-actions"><button class="btn-p" id="depositBtn">⬇️ Deposit $1,000</button><button class="btn-s">⬆️ Withdraw</button></div></div><div class="section"><div class="section-head"><h3>Open Positions</h3><span>'+positions.length+'</span></div>'+(positions.length===0?'<div class="empty"><span>📭</span>No positions yet.<br>Start trading!</div>':positions.map(positionHTML).join(''))+'</div>';
-  $('#depositBtn').onclick=deposit;
-  $$('.sell-btn').forEach(btn=>{btn.onclick=(e)=>{e.stopPropagation();sellPosition(btn.dataset.id);};});
+  positions=pf.positions;
+  $('#content').innerHTML='<div class="wallet-hero"><div class="wallet-label">Total Balance</div><div class="wallet-amount">$'+pf.equity.toFixed(2)+'</div><div class="wallet-sub"><div><div class="val">$'+pf.balance.toFixed(2)+'</div><div class="lbl">Available</div></div><div><div class="val">$'+pf.positionsValue.toFixed(2)+'</div><div class="lbl">In Positions</div></div>'+(pf.reserved?'<div><div class="val">$'+pf.reserved.toFixed(2)+'</div><div class="lbl">In Orders</div></div>':'')+'</div><div class="wallet-sub"><div><div class="val '+(pf.totals.unrealizedPnl>=0?'grn':'red')+'">'+money(pf.totals.unrealizedPnl)+'</div><div class="lbl">Unrealized PnL</div></div><div><div class="val '+(pf.totals.realizedPnl>=0?'grn':'red')+'">'+money(pf.totals.realizedPnl)+'</div><div class="lbl">Realized PnL</div></div></div><div class="wallet-actions"><button class="btn-p" id="depositBtn">⬇️ Deposit</button><button class="btn-s" id="withdrawBtn">⬆️ Withdraw</button></div></div><div class="section"><div class="section-head"><h3>Equity</h3><span>'+pf.equityCurve.length+' samples</span></div>'+equityHTML(pf.equityCurve)+'</div>'+(pf.exposure.length?'<div class="section"><div class="section-head"><h3>Exposure</h3><span>by category</span></div><div class="outcome-list">'+pf.exposure.map(e=>'<div class="orow"><div class="obar" style="width:'+e.share.toFixed(1)+'%"></div><span>'+esc(e.name)+' · '+e.positions+'</span><span>$'+e.marketValue.toFixed(2)+' · '+e.share.toFixed(0)+'%</span></div>').join('')+'</div></div>':'')+'<div class="section"><div class="section-head"><h3>Open Positions</h3><span>'+positions.length+'</span></div>'+(positions.length===0?'<div class="empty"><span>📭</span>No positions yet.<br>Start trading!</div>':positions.map(positionHTML).join(''))+'</div><div class="section"><div class="section-head"><h3>History</h3><span class="export-links"><a id="exportCsv">CSV</a> · <a id="exportJson">NDJSON</a></span></div><div id="fillList"></div><button class="more-btn" id="fillMore" style="display:none">Load more</button></div><div class="section"><div class="section-head"><h3>Transactions</h3><span id="txCount"></span></div><div id="txList"></div><button class="more-btn" id="txMore" style="display:none">Load more</button></div>';
+  $('#depositBtn').onclick=()=>moveFunds('deposit');
+  $('#withdrawBtn').onclick=()=>moveFunds('withdraw');
+  $('#txMore').onclick=()=>loadTransactions($$('.tx-row').length);
+  $('#fillMore').onclick=()=>loadFills($$('.fill-row').length);
+  $('#exportCsv').onclick=()=>exportTrades('csv');
+  $('#exportJson').onclick=()=>exportTrades('ndjson');
+  loadFills(0);
+  loadTransactions(0);
+  $$('.sell-btn').forEach(btn=>{btn.onclick=(e)=>{e.stopPropagation();(btn.classList.contains('trig-btn')?showTriggerSheet:showSellSheet)(btn.dataset.id);};});
+  $$('.trig-cancel').forEach(a=>{a.onclick=async(e)=>{
+    e.stopPropagation();
+    try{await api('/api/triggers/'+a.dataset.id,{method:'DELETE'});renderWallet();}catch(err){alert(err.message);}
+  };});
+}
+
+function money(n){return (n>=0?'+$':'-$')+Math.abs(n).toFixed(2);}
+
+function equityHTML(curve){
+  if(curve.length<2)return '<div class="ladder-empty">Not enough history yet</div>';
+  const vals=curve.map(p=>p.equity);
+  const lo=Math.min(...vals),hi=Math.max(...vals),span=Math.max(hi-lo,1);
+  const t0=curve[0].t,t1=curve[curve.length-1].t;
+  const pts=curve.map(p=>((p.t-t0)/Math.max(1,t1-t0)*100).toFixed(2)+','+(95-(p.equity-lo)/span*90).toFixed(2)).join(' ');
+  const color=vals[vals.length-1]>=vals[0]?'#30D158':'#FF453A';
+  return '<div class="chart-svg"><svg viewBox="0 0 100 100" preserveAspectRatio="none"><polyline points="'+pts+'" fill="none" stroke="'+color+'" stroke-width="2" vector-effect="non-scaling-stroke"/></svg></div><div class="chart-labels"><span>'+new Date(t0).toLocaleDateString([],{month:'short',day:'numeric'})+'</span><span>$'+lo.toFixed(0)+' – $'+hi.toFixed(0)+'</span><span>Now</span></div>';
 }
 
 function positionHTML(p){
-  const m=markets.find(x=>x.id===p.marketId)||{yes:50,no:50,title:'Market'};
-  const cur=p.side==='YES'?m.yes:m.no;
-  const val=(p.shares*cur/100).toFixed(2);
-  const pnl=((cur-p.avg)/p.avg*100).toFixed(1);
-  const up=parseFloat(pnl)>=0;
-  return '<div class="pos-row"><div class="pos-info"><h4>'+(p.title||m.title.substring(0,30))+'</h4><div class="pos-meta"><span class="grn">'+p.shares+' '+p.side+'</span> <span class="gry">@ '+p.avg+'¢</span></div></div><div style="display:flex;align-items:center"><div class="pos-val"><div class="amt">$'+val+'</div><div class="pnl '+(up?'up':'dn')+'">'+(up?'↗':'↘')+' '+(up?'+':'')+pnl+'%</div></div><button class="sell-btn" data-id="'+p.id+'">Sell</button></div></div>';
+  const up=p.unrealizedPnl>=0;
+  return '<div class="pos-row"><div class="pos-info"><h4>'+esc(p.title)+'</h4><div class="pos-meta"><span class="grn">'+p.shares+' '+esc(p.label)+'</span> <span class="gry">@ '+p.avg.toFixed(1)+'¢ → '+p.price.toFixed(1)+'¢'+(p.realizedPnl?' · realized '+money(p.realizedPnl):'')+'</span></div>'+(p.triggers.length?'<div class="trig-list">'+p.triggers.map(t=>'<span class="trig">'+triggerText(t)+'<a class="trig-cancel" data-id="'+t.id+'">✕</a></span>').join('')+'</div>':'')+'</div><div style="display:flex;align-items:center"><div class="pos-val"><div class="amt">$'+p.marketValue.toFixed(2)+'</div><div class="pnl '+(up?'up':'dn')+'">'+(up?'↗':'↘')+' '+money(p.unrealizedPnl)+' ('+(up?'+':'')+p.unrealizedPct.toFixed(1)+'%)</div></div>'+(p.status==='open'?'<button class="sell-btn trig-btn" data-id="'+p.id+'">Stops</button><button class="sell-btn" data-id="'+p.id+'">Sell</button>':'')+'</div></div>';
+}
+
+function triggerText(t){
+  const shares=t.shares?' · '+t.shares+' sh':'';
+  if(t.type==='stop_loss')return '🛑 Stop ≤ '+t.price+'¢'+shares;
+  if(t.type==='take_profit')return '🎯 Take ≥ '+t.price+'¢'+shares;
+  return '〰️ Trail '+t.trail+'¢ (stop '+t.stopPrice.toFixed(1)+'¢)'+shares;
+}
+
+function showTriggerSheet(positionId){
+  const p=positions.find(x=>x.id===positionId);
+  if(!p)return;
+  $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>Stops on '+esc(p.label||p.side)+'</h2><button class="modal-close" id="closeModal">✕</button></div><div class="detail-box"><h3>'+esc(p.title)+'</h3><p>'+p.shares+' shares @ '+p.avg.toFixed(1)+'¢ avg · now '+p.price.toFixed(1)+'¢</p></div><div class="trade-input"><label>Trigger</label><select id="trigType"><option value="stop_loss">Stop-loss: sell if price falls to</option><option value="take_profit">Take-profit: sell if price reaches</option><option value="trailing_stop">Trailing stop: sell if price drops from its high by</option></select></div><div class="trade-input"><label id="trigLabel">Price (¢)</label><input type="number" id="trigValue" min="1" max="99" step="1"></div><div class="trade-input"><label>Shares (blank for the whole position)</label><input type="number" id="trigShares" min="1" max="'+p.shares+'" step="1"></div><button class="trade-confirm yes" id="trigBtn">Add trigger</button></div>';
+  $('#modal').classList.add('open');
+  $('#closeModal').onclick=closeModal;
+  $('#trigType').onchange=()=>{$('#trigLabel').textContent=$('#trigType').value==='trailing_stop'?'Trail (¢ below the high)':'Price (¢)';};
+  $('#trigBtn').onclick=async()=>{
+    const type=$('#trigType').value;
+    const value=parseInt($('#trigValue').value);
+    const shares=parseInt($('#trigShares').value);
+    const body={positionId,type};
+    body[type==='trailing_stop'?'trail':'price']=value;
+    if(shares)body.shares=shares;
+    try{
+      await api('/api/triggers',{method:'POST',body:JSON.stringify(body)});
+      closeModal();
+      renderWallet();
+    }catch(e){alert(e.message);}
+  };
+}
+
+function showSellSheet(positionId){
+  const p=positions.find(x=>x.id===positionId);
+  if(!p)return;
+  $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>Sell '+esc(p.label||p.side)+'</h2><button class="modal-close" id="closeModal">✕</button></div><div class="detail-box"><h3>'+esc(p.title)+'</h3><p>'+p.shares+' '+esc(p.label||p.side)+' shares @ '+p.avg.toFixed(1)+'¢ avg</p></div><div class="trade-input"><label>Shares to sell: <b id="sellQty">'+p.shares+'</b> (<span id="sellPct">100</span>%)</label><input type="range" id="sellSlider" class="sell-slider" min="1" max="'+p.shares+'" value="'+p.shares+'"></div><div class="trade-summary"><div class="trade-row"><span>Avg sell price</span><span id="sellAvg">–</span></div><div class="trade-row"><span>Slippage</span><span id="sellSlip">–</span></div><div class="trade-row"><span>Price after sale</span><span id="sellAfter">–</span></div><div class="trade-row"><span>Fee</span><span id="sellFee">–</span></div><div class="trade-row"><span>Realized PnL</span><span id="sellPnl">–</span></div><div class="trade-row"><span>Remaining shares</span><span id="sellLeft">0</span></div></div><button class="trade-confirm no" id="sellBtn" disabled>Sell for $<span id="sellPayout">–</span></button></div>';
+  $('#modal').classList.add('open');
+  $('#closeModal').onclick=closeModal;
+  let seq=0;
+  const update=async()=>{
+    const shares=parseInt($('#sellSlider').value);
+    const mine=++seq;
+    $('#sellQty').textContent=shares;
+    $('#sellPct').textContent=Math.round(shares/p.shares*100);
+    $('#sellBtn').disabled=true;
+    try{
+      const {quote}=await api('/api/sell/quote?'+new URLSearchParams({positionId,shares}));
+      if(mine!==seq)return;
+      $('#sellAvg').textContent=quote.avgPrice.toFixed(2)+'¢';
+      $('#sellSlip').textContent=quote.slippage.toFixed(2)+'%';
+      $('#sellAfter').textContent=quote.newPrice.toFixed(1)+'¢';
+      $('#sellPnl').textContent=(quote.pnl>=0?'+$':'-$')+Math.abs(quote.pnl).toFixed(2);
+      $('#sellPnl').className=quote.pnl>=0?'grn':'red';
+      $('#sellLeft').textContent=quote.remaining;
+      $('#sellFee').textContent='$'+quote.fee.toFixed(2)+' ('+(quote.feeRate/100)+'%)';
+      $('#sellPayout').textContent=quote.proceeds.toFixed(2);
+      $('#sellBtn').disabled=false;
+    }catch(e){}
+  };
+  $('#sellSlider').oninput=update;
+  const key=idempotencyKey();
+  $('#sellBtn').onclick=()=>sellPosition(positionId,parseInt($('#sellSlider').value),key);
+  update();
 }
 
-async function sellPosition(positionId){
-  if(!confirm('Sell this position?'))return;
+async function sellPosition(positionId,shares,key){
+  $('#sellBtn').disabled=true;
   try{
-    const data=await api('/api/sell',{method:'POST',body:JSON.stringify({positionId})});
+    const data=await api('/api/sell',{method:'POST',headers:{'Idempotency-Key':key},body:JSON.stringify({positionId,shares})});
     user.balance=data.balance;
-    alert('Sold for $'+data.payout.toFixed(2)+'!');
+    closeModal();
+    alert('Sold '+data.shares+' shares for $'+data.payout.toFixed(2)+' ('+(data.pnl>=0?'+':'-')+'$'+Math.abs(data.pnl).toFixed(2)+')');
     renderWallet();
     renderHeader();
-  }catch(e){alert('Sell failed: '+e.message);}
+  }catch(e){
+    alert('Sell failed: '+e.message);
+    $('#sellBtn').disabled=false;
+  }
 }
 
-async function deposit(){
-  user.balance+=1000;
-  renderWallet();
-  renderHeader();
+const TX_LABELS={signup_bonus:'🎁 Signup bonus',deposit:'⬇️ Deposit',withdrawal:'⬆️ Withdrawal',trade:'📈 Buy',sale:'💵 Sale',settlement:'🏁 Settlement',fee:'🧾 Fee',order_hold:'⏳ Order hold',order_release:'↩️ Order release',adjustment:'⚖️ Adjustment',market_result:'🏦 Market result'};
+
+async function loadFills(offset){
+  try{
+    const data=await api('/api/trades?limit=20&offset='+offset);
+    const html=data.trades.map(t=>'<div class="tx-row fill-row"><div><div>'+(t.type==='sell'?'Sold ':'Bought ')+t.shares+' '+esc(t.side)+' @ '+t.price.toFixed(1)+'¢</div><div class="tx-date">'+esc(t.title.substring(0,40))+' · '+new Date(t.timestamp).toLocaleString()+'</div></div><div class="tx-amt '+(t.type==='sell'?'up':'dn')+'">'+(t.type==='sell'?'+':'-')+'$'+t.amount.toFixed(2)+'</div></div>').join('');
+    if(offset===0)$('#fillList').innerHTML=html||'<div class="empty">No fills yet</div>';
+    else $('#fillList').insertAdjacentHTML('beforeend',html);
+    $('#fillMore').style.display=offset+data.trades.length<data.total?'block':'none';
+  }catch(e){}
+}
+
+async function exportTrades(format){
+  try{
+    const res=await authFetch('/api/trades/export?format='+format);
+    if(!res.ok)throw new Error('Export failed');
+    const a=document.createElement('a');
+    a.href=URL.createObjectURL(await res.blob());
+    a.download='predictx-trades.'+format;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }catch(e){alert(e.message);}
+}
+
+async function loadTransactions(offset){
+  try{
+    const data=await api('/api/wallet/transactions?limit=20&offset='+offset);
+    const html=data.transactions.map(t=>'<div class="tx-row"><div><div>'+(TX_LABELS[t.type]||t.type)+'</div><div class="tx-date">'+new Date(t.timestamp).toLocaleString()+'</div></div><div class="tx-amt '+(t.amount>=0?'up':'dn')+'">'+(t.amount>=0?'+':'-')+'$'+Math.abs(t.amount).toFixed(2)+'</div></div>').join('');
+    if(offset===0)$('#txList').innerHTML=html||'<div class="empty">No transactions yet</div>';
+    else $('#txList').insertAdjacentHTML('beforeend',html);
+    $('#txCount').textContent=data.total;
+    $('#txMore').style.display=offset+data.transactions.length<data.total?'block':'none';
+  }catch(e){}
+}
+
+async function moveFunds(kind){
+  const input=prompt(kind==='deposit'?'Deposit amount ($)':'Withdraw amount ($)',kind==='deposit'?'1000':'');
+  const amount=parseFloat(input);
+  if(!amount)return;
+  try{
+    const data=await api('/api/wallet/'+kind,{method:'POST',body:JSON.stringify({amount})});
+    user.balance=data.balance;
+    renderWallet();
+    renderHeader();
+  }catch(e){alert((kind==='deposit'?'Deposit':'Withdrawal')+' failed: '+e.message);}
+}
+
+const LB_METRICS={roi:'ROI',profit:'Profit',brier:'Accuracy'};
+
+function metricValue(l,metric){
+  if(metric==='roi')return (l.roi>=0?'+':'')+l.roi.toFixed(1)+'%';
+  if(metric==='profit')return money(l.profit);
+  return l.brier===null?'–':l.brier.toFixed(3);
 }
 
 async function renderProfile(){
   try{
-    const data=await api('/api/leaderboard');
+    const data=await api('/api/leaderboard?'+new URLSearchParams({period:lbPeriod,metric:lbMetric}));
     leaderboard=data.leaderboard;
   }catch(e){}
   const wr=user.wins+user.losses>0?Math.round(user.wins/(user.wins+user.losses)*100):0;
-  const myRank=leaderboard.findIndex(l=>l.username===user.username)+1||99;
-  $('#content').innerHTML='<div class="profile-hero"><div class="profile-avatar">👤</div><div class="profile-name">@'+user.username+'</div><div class="profile-email">'+user.email+'</div><button class="logout-btn" id="logoutBtn">Sign Out</button></div><div class="stats-grid"><div class="stat-card"><div class="icon">📊</div><div class="val">'+wr+'%</div><div class="lbl">Win Rate</div></div><div class="stat-card"><div class="icon">💰</div><div class="val">$'+user.balance.toFixed(0)+'</div><div class="lbl">Balance</div></div><div class="stat-card"><div class="icon">✅</div><div class="val">'+user.wins+'</div><div class="lbl">Wins</div></div><div class="stat-card"><div class="icon">🏆</div><div class="val">#'+myRank+'</div><div class="lbl">Rank</div></div></div><div class="section"><div class="section-head"><h3>🏆 Leaderboard</h3></div>'+leaderboard.slice(0,10).map((l,i)=>'<div class="leader-row'+(l.username===user.username?' you':'')+'"><div class="l-rank '+(i===0?'g':i===1?'s':i===2?'b':'')+'">'+l.rank+'</div><div class="l-avatar">'+(i<3?['🥇','🥈','🥉'][i]:'👤')+'</div><div class="l-info"><div class="l-name">'+l.username+(l.username===user.username?'<span class="you-badge">You</span>':'')+'</div><div class="l-wr">'+l.winRate+'% win rate</div></div><div class="l-bal">$'+l.balance.toFixed(0)+'</div></div>').join('')+'</div>';
-  $('#logoutBtn').onclick=logout;
+  const myRank=leaderboard.findIndex(l=>l.username===user.username)+1;
+  $('#content').innerHTML='<div class="profile-hero"><div class="profile-avatar">👤</div><div class="profile-name">@'+esc(user.username)+'</div><div class="profile-email">'+esc(user.email)+'</div><button class="logout-btn" id="logoutBtn">Sign Out</button> <button class="logout-btn" id="logoutAllBtn">Sign Out Everywhere</button></div><div class="stats-grid"><div class="stat-card"><div class="icon">📊</div><div class="val">'+wr+'%</div><div class="lbl">Win Rate</div></div><div class="stat-card"><div class="icon">💰</div><div class="val">$'+user.balance.toFixed(0)+'</div><div class="lbl">Balance</div></div><div class="stat-card"><div class="icon">✅</div><div class="val">'+user.wins+'</div><div class="lbl">Wins</div></div><div class="stat-card"><div class="icon">🏆</div><div class="val">'+(myRank?'#'+myRank:'–')+'</div><div class="lbl">Rank</div></div></div><div class="section"><div class="section-head"><h3>🏆 Leaderboard</h3><span>'+LB_METRICS[lbMetric]+' · '+lbPeriod+'</span></div><div class="lb-controls"><div class="lb-pills">'+['24h','7d','30d','all'].map(p=>'<button class="lb-pill'+(p===lbPeriod?' active':'')+'" data-period="'+p+'">'+p.toUpperCase()+'</button>').join('')+'</div><div class="lb-pills">'+Object.keys(LB_METRICS).map(k=>'<button class="lb-pill'+(k===lbMetric?' active':'')+'" data-metric="'+k+'">'+LB_METRICS[k]+'</button>').join('')+'</div></div>'+(leaderboard.length?leaderboard.slice(0,10).map((l,i)=>'<div class="leader-row'+(l.username===user.username?' you':'')+'" data-user="'+esc(l.username)+'"><div class="l-rank '+(i===0?'g':i===1?'s':i===2?'b':'')+'">'+l.rank+'</div><div class="l-avatar">'+(i<3?['🥇','🥈','🥉'][i]:'👤')+'</div><div class="l-info"><div class="l-name">'+esc(l.username)+(l.username===user.username?'<span class="you-badge">You</span>':'')+'</div><div class="l-wr">'+(lbMetric==='brier'?l.forecasts+' resolved forecasts':l.winRate+'% win rate · '+l.trades+' trades')+'</div></div><div class="l-bal'+(lbMetric!=='brier'&&l[lbMetric]<0?' neg':'')+'">'+metricValue(l,lbMetric)+'</div></div>').join(''):'<div class="empty">Nobody to rank for this period yet</div>')+'</div>';
+  $$('.lb-pill').forEach(b=>b.onclick=()=>{
+    if(b.dataset.period)lbPeriod=b.dataset.period;
+    if(b.dataset.metric)lbMetric=b.dataset.metric;
+    renderProfile();
+  });
+  $$('.leader-row').forEach(r=>r.onclick=()=>showUserProfile(r.dataset.user));
+  $('#logoutBtn').onclick=()=>logout(false);
+  $('#logoutAllBtn').onclick=()=>{if(confirm('Sign out of every device?'))logout(true);};
+  renderApiKeys();
+  renderWebhooks();
+  if(user.isAdmin){
+    renderMarketForm();
+    renderHaltControls();
+    renderReportQueue();
+  }
+}
+
+async function showUserProfile(username){
+  try{
+    const data=await api('/api/users/'+encodeURIComponent(username));
+    const rows=Object.keys(data.stats).map(p=>{
+      const s=data.stats[p];
+      return '<div class="trade-row"><span>'+p.toUpperCase()+'</span><span>'+money(s.profit)+' · '+(s.roi>=0?'+':'')+s.roi.toFixed(1)+'% ROI · Brier '+(s.brier===null?'–':s.brier.toFixed(3))+'</span></div>';
+    }).join('');
+    const all=data.stats.all;
+    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>👤 @'+esc(data.user.username)+'</h2><button class="modal-close" id="closeModal">✕</button></div><div class="detail-box"><p>Joined '+new Date(data.user.joined).toLocaleDateString()+' · '+data.user.openPositions+' open positions</p><div class="detail-stats"><div class="dstat"><div>'+all.winRate+'%</div><div>Win rate</div></div><div class="dstat"><div>'+all.trades+'</div><div>Trades</div></div><div class="dstat"><div>'+all.forecasts+'</div><div>Resolved</div></div></div></div><div class="trade-summary">'+rows+'</div></div>';
+    $('#modal').classList.add('open');
+    $('#closeModal').onclick=closeModal;
+  }catch(e){alert(e.message);}
+}
+
+function renderMarketForm(){
+  const box=document.createElement('div');
+  box.className='section';
+  box.innerHTML='<div class="section-head"><h3>🛠️ Create Market</h3><span>Admin</span></div><div class="market-form"><input id="mfTitle" placeholder="Will ... happen by ...?"><textarea id="mfDesc" rows="2" placeholder="Description"></textarea><textarea id="mfCriteria" rows="2" placeholder="Resolution criteria"></textarea><select id="mfCat">'+['crypto','economy','sports','tech','politics','entertainment'].map(c=>'<option>'+c+'</option>').join('')+'</select><textarea id="mfOutcomes" rows="3" placeholder="Outcomes, one per line (leave empty for YES/NO)"></textarea><div class="mf-row"><label>Opens (optional)<input id="mfOpen" type="datetime-local"></label><label>Closes<input id="mfClose" type="datetime-local"></label><label>Prob %<input id="mfProb" type="number" min="1" max="99" value="50"></label></div><input id="mfOracleUrl" placeholder="Oracle URL (optional, YES/NO only)"><div class="mf-row"><label>JSONPath<input id="mfOraclePath" placeholder="$.data.price"></label><label>Is<select id="mfOracleCmp">'+['>','>=','<','<=','=='].map(c=>'<option>'+c+'</option>').join('')+'</select></label><label>Threshold<input id="mfOracleThreshold" type="number"></label></div><button class="btn-p" id="mfBtn">Create Market</button></div>';
+  $('#content').appendChild(box);
+  $('#mfBtn').onclick=async()=>{
+    const body={title:$('#mfTitle').value,description:$('#mfDesc').value,resolutionCriteria:$('#mfCriteria').value,category:$('#mfCat').value,closeAt:new Date($('#mfClose').value).getTime()};
+    const outcomes=$('#mfOutcomes').value.split('\\n').map(s=>s.trim()).filter(Boolean);
+    if($('#mfOpen').value)body.openAt=new Date($('#mfOpen').value).getTime();
+    if(outcomes.length)body.outcomes=outcomes;
+    else body.probability=parseInt($('#mfProb').value);
+    if($('#mfOracleUrl').value.trim())body.oracle={url:$('#mfOracleUrl').value.trim(),path:$('#mfOraclePath').value.trim(),comparator:$('#mfOracleCmp').value,threshold:parseFloat($('#mfOracleThreshold').value)};
+    try{
+      const data=await api('/api/markets',{method:'POST',body:JSON.stringify(body)});
+      alert('✅ Created market #'+(data.market.id+1));
+      await loadMarkets();
+      renderProfile();
+    }catch(e){alert('Create failed: '+e.message);}
+  };
+}
+
+function renderHaltControls(){
+  const box=document.createElement('div');
+  box.className='section';
+  box.innerHTML='<div class="section-head"><h3>⏸ Trading Halts</h3><span>Admin</span></div><div class="market-form"><select id="haltCat">'+['crypto','economy','sports','tech','politics','entertainment'].map(c=>'<option>'+c+'</option>').join('')+'</select><input id="haltReason" placeholder="Reason (optional)"><div class="mf-row"><button class="btn-s" id="haltCatBtn">Halt category</button><button class="btn-p" id="resumeCatBtn">Resume category</button></div></div>';
+  $('#content').appendChild(box);
+  const run=async(action)=>{
+    const category=$('#haltCat').value;
+    const body={category};
+    if(action==='halt'&&$('#haltReason').value)body.reason=$('#haltReason').value;
+    try{
+      const data=await api('/api/admin/'+action,{method:'POST',body:JSON.stringify(body)});
+      alert(action==='halt'?'Halted '+data.halted+' '+category+' markets':'Resumed '+data.resumed+' '+category+' markets');
+    }catch(e){alert(e.message);}
+  };
+  $('#haltCatBtn').onclick=()=>run('halt');
+  $('#resumeCatBtn').onclick=()=>run('resume');
+}
+
+async function renderApiKeys(){
+  let box=$('#keyBox');
+  if(!box){
+    box=document.createElement('div');
+    box.className='section';
+    box.id='keyBox';
+    $('#content').appendChild(box);
+  }
+  let data;
+  try{data=await api('/api/keys');}catch(e){return;}
+  box.innerHTML='<div class="section-head"><h3>🔑 API Keys</h3><span>'+data.keys.length+'</span></div>'+data.keys.map(k=>'<div class="pos-row" data-key="'+k.id+'"><div class="pos-info"><h4>'+esc(k.name)+' <span class="gry">'+esc(k.keyId)+'</span></h4><div class="pos-meta"><span class="grn">'+k.scopes.join(', ')+'</span> <span class="gry">'+k.rateLimit+'/min · '+(k.lastUsedAt?'used '+new Date(k.lastUsedAt).toLocaleString():'never used')+'</span></div></div><div class="hook-btns"><button data-act="log">Log</button><button data-act="revoke">Revoke</button></div></div>').join('')+'<div class="market-form"><input id="keyName" maxlength="40" placeholder="Key name, e.g. market-maker"><div class="hook-events">'+data.scopes.map(sc=>'<label><input type="checkbox" value="'+sc+'"'+(sc==='read'?' checked':'')+'> '+sc+'</label>').join('')+'</div><button class="btn-p" id="keyAdd">Create key</button><div class="c-note">Sign each request with X-API-Key, X-API-Timestamp and X-API-Signature = HMAC-SHA256(secret, timestamp + method + path + body).</div></div>';
+  $('#keyAdd').onclick=async()=>{
+    const scopes=[...box.querySelectorAll('.hook-events input:checked')].map(i=>i.value);
+    try{
+      const r=await api('/api/keys',{method:'POST',body:JSON.stringify({name:$('#keyName').value,scopes})});
+      prompt('Key '+r.key.keyId+' created. Copy the secret now, it will not be shown again:',r.secret);
+      renderApiKeys();
+    }catch(e){alert(e.message);}
+  };
+  box.querySelectorAll('[data-key] button').forEach(b=>b.onclick=async()=>{
+    const id=b.closest('[data-key]').dataset.key;
+    if(b.dataset.act==='log')return showKeyLog(id);
+    if(!confirm('Revoke this key? Bots using it will stop working immediately.'))return;
+    try{await api('/api/keys/'+id,{method:'DELETE'});renderApiKeys();}catch(e){alert(e.message);}
+  });
+}
+
+async function showKeyLog(id){
+  try{
+    const data=await api('/api/keys/'+id+'/log');
+    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>🔑 '+esc(data.key.name)+'</h2><button class="modal-close" id="closeModal">✕</button></div><div class="book-box">'+(data.entries.length?data.entries.map(e=>'<div class="tx-row"><div><div>'+e.method+' '+esc(e.path)+'</div><div class="tx-date">'+new Date(e.timestamp).toLocaleString()+' · '+esc(e.ip)+'</div></div><div class="tx-amt '+(e.error?'red':'grn')+'">'+(e.error?esc(e.error):'OK')+'</div></div>').join(''):'<div class="empty">This key has not been used yet</div>')+'</div></div>';
+    $('#modal').classList.add('open');
+    $('#closeModal').onclick=closeModal;
+  }catch(e){alert(e.message);}
+}
+
+async function renderWebhooks(){
+  let box=$('#webhookBox');
+  if(!box){
+    box=document.createElement('div');
+    box.className='section';
+    box.id='webhookBox';
+    $('#content').appendChild(box);
+  }
+  let data;
+  try{data=await api('/api/webhooks');}catch(e){return;}
+  box.innerHTML='<div class="section-head"><h3>🔗 Webhooks</h3><span>'+data.webhooks.length+'</span></div>'+data.webhooks.map(h=>'<div class="pos-row" data-hook="'+h.id+'"><div class="pos-info"><h4>'+esc(h.url)+'</h4><div class="pos-meta"><span class="'+(h.failing?'red':h.active?'grn':'gry')+'">'+(h.failing?'Failing':h.active?'Active':'Paused')+'</span> <span class="gry">'+h.events.map(esc).join(', ')+'</span></div></div><div class="hook-btns"><button data-act="test">Test</button><button data-act="log">Log</button><button data-act="toggle" data-active="'+h.active+'">'+(h.active?'Pause':'Resume')+'</button><button data-act="delete">✕</button></div></div>').join('')+'<div class="market-form"><input id="hookUrl" placeholder="https://example.com/hooks/predictx"><div class="hook-events">'+data.events.map(e=>'<label><input type="checkbox" value="'+e+'" checked> '+e+'</label>').join('')+'</div><button class="btn-p" id="hookAdd">Add webhook</button></div>';
+  $('#hookAdd').onclick=async()=>{
+    const events=[...box.querySelectorAll('.hook-events input:checked')].map(i=>i.value);
+    try{
+      const r=await api('/api/webhooks',{method:'POST',body:JSON.stringify({url:$('#hookUrl').value,events})});
+      prompt('Webhook created. Copy the signing secret now, it will not be shown again:',r.secret);
+      renderWebhooks();
+    }catch(e){alert(e.message);}
+  };
+  box.querySelectorAll('[data-hook] button').forEach(b=>b.onclick=async()=>{
+    const id=b.closest('[data-hook]').dataset.hook;
+    try{
+      if(b.dataset.act==='test'){await api('/api/webhooks/'+id+'/test',{method:'POST'});alert('Ping queued');}
+      else if(b.dataset.act==='log')return showDeliveries(id);
+      else if(b.dataset.act==='toggle')await api('/api/webhooks/'+id,{method:'PATCH',body:JSON.stringify({active:b.dataset.active!=='true'})});
+      else if(confirm('Delete this webhook and its delivery log?'))await api('/api/webhooks/'+id,{method:'DELETE'});
+      renderWebhooks();
+    }catch(e){alert(e.message);}
+  });
+}
+
+async function showDeliveries(id){
+  try{
+    const data=await api('/api/webhooks/'+id+'/deliveries');
+    $('#modal').innerHTML='<div class="modal-box"><div class="modal-head"><h2>🔗 Deliveries</h2><button class="modal-close" id="closeModal">✕</button></div><div class="book-box">'+(data.deliveries.length?data.deliveries.map(d=>'<div class="tx-row"><div><div>'+esc(d.event)+' <span class="'+(d.status==='delivered'?'grn':d.status==='failed'?'red':'gry')+'">'+d.status+'</span></div><div class="tx-date">'+new Date(d.createdAt).toLocaleString()+' · '+d.attempts+' attempt'+(d.attempts===1?'':'s')+(d.error?' · '+esc(d.error):'')+(d.nextAttemptAt?' · retry '+new Date(d.nextAttemptAt).toLocaleTimeString():'')+'</div></div><div class="tx-amt">'+(d.responseStatus||'–')+'</div></div>').join(''):'<div class="empty">No deliveries yet</div>')+'</div></div>';
+    $('#modal').classList.add('open');
+    $('#closeModal').onclick=closeModal;
+  }catch(e){alert(e.message);}
+}
+
+async function renderReportQueue(){
+  const box=document.createElement('div');
+  box.className='section';
+  $('#content').appendChild(box);
+  let data;
+  try{data=await api('/api/admin/comments');}catch(e){return;}
+  box.innerHTML='<div class="section-head"><h3>⚑ Reported Comments</h3><span>'+data.comments.length+'</span></div>'+(data.comments.length?data.comments.map(c=>'<div class="comment" data-id="'+c.id+'"><div class="c-head"><span class="c-author">@'+esc(c.author)+'</span><span class="c-time">'+esc(c.market.substring(0,40))+'</span></div><div class="c-body'+(c.hidden?' hidden':'')+'">'+esc(c.body)+'</div><div class="c-note">⚑ '+c.reasons.map(esc).join(' · ')+'</div><div class="c-actions"><button data-act="'+(c.hidden?'unhide':'hide')+'">'+(c.hidden?'Unhide':'Hide')+'</button><button data-act="dismiss">Dismiss</button><button data-act="mute" data-user="'+esc(c.author)+'">Mute author</button><button data-act="open" data-market="'+c.marketId+'">Open market</button></div></div>').join(''):'<div class="empty">Nothing to review</div>');
+  box.onclick=async e=>{
+    const el=e.target.closest('[data-act]');
+    if(!el)return;
+    const id=el.closest('.comment').dataset.id;
+    const act=el.dataset.act;
+    if(act==='open')return showMarketModal(parseInt(el.dataset.market));
+    try{
+      if(act==='mute')await api('/api/admin/mute',{method:'POST',body:JSON.stringify({username:el.dataset.user,muted:true})});
+      else await api('/api/comments/'+id+'/moderate',{method:'POST',body:JSON.stringify({action:act})});
+      if(act==='mute')alert('@'+el.dataset.user+' has been muted');
+      box.remove();
+      renderReportQueue();
+    }catch(err){alert(err.message);}
+  };
 }
 
 function renderTabs(){
@@ -720,8 +5222,9 @@ function renderTabs(){
   $$('.tab').forEach(t=>t.onclick=()=>{tab=t.dataset.tab;render();});
 }
 
-function closeModal(){$('#modal').classList.remove('open');}
+function closeModal(){$('#modal').classList.remove('open');openMarketId=null;}
 $('#modal').onclick=e=>{if(e.target===$('#modal'))closeModal();};
+function esc(s){return String(s==null?'':s).replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);}
 function formatNum(n){if(n>=1e9)return(n/1e9).toFixed(1)+'B';if(n>=1e6)return(n/1e6).toFixed(1)+'M';if(n>=1e3)return(n/1e3).toFixed(1)+'K';return n.toString();}
 checkAuth();
 </script>
@@ -735,8 +5238,8 @@ const server = http.createServer(async (req, res) => {
   const path = url.pathname;
   
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key, X-API-Key, X-API-Timestamp, X-API-Signature');
   
   if (method === 'OPTIONS') {
     res.writeHead(204);
@@ -748,40 +5251,104 @@ const server = http.createServer(async (req, res) => {
     return res.end(HTML);
   }
   
-  const routeKey = method + ' ' + path.replace(/\/\d+$/, '/:id');
-  const handler = routes[routeKey];
+  const send = (status, data, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+  };
+  const { route, params, allowed } = matchRoute(method, path.replace(/^\/api\/v1(?=\/)/, '/api'));
   
-  if (handler) {
+  if (route) {
+    const routeKey = route.key;
+    const handler = route.handler;
+    try {
+      Object.keys(params).forEach(k => params[k] = decodeURIComponent(params[k]));
+    } catch {
+      return send(400, { error: 'Malformed path' });
+    }
+    
     let body = {};
-    if (method === 'POST') {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      try { body = JSON.parse(Buffer.concat(chunks).toString()); } catch {}
+    if (['POST', 'PUT', 'PATCH'].includes(method)) {
+      const { raw, tooLarge } = await readBody(req);
+      if (tooLarge) {
+        res.on('finish', () => req.destroy());
+        return send(413, { error: 'Request body exceeds ' + BODY_LIMIT + ' bytes' }, { Connection: 'close' });
+      }
+      req.rawBody = raw;
+      if (raw.trim()) {
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          return send(400, { error: 'Request body is not valid JSON' });
+        }
+        if (!isType('object', body)) return send(400, { error: 'Request body must be a JSON object' });
+      }
     }
     
-    const idMatch = path.match(/\/(\d+)$/);
-    req.params = idMatch ? { id: idMatch[1] } : {};
+    const errors = checkRequest(route, params, url, body);
+    if (errors.length) return send(400, { error: errors.map(e => e.path + ' ' + e.message).join('; '), details: errors });
+    
+    req.params = params;
+    req.routeKey = routeKey;
     req.url = url.href;
     
+    let record = null;
     try {
-      const result = await handler(req, body);
+      // Key-signed requests are verified, rate limited and logged before any
+      // route runs, public ones included
+      if (req.headers['x-api-key'] && !getUser(req)) {
+        commit(routeKey);
+        return send(req.authError.status, { error: req.authError.error });
+      }
+      const user = getUser(req);
+      if (!user && !route.spec.public) return send(401, { error: 'Unauthorized' });
+      const wait = rateLimit(req, routeKey, user);
+      if (wait) return send(429, { error: 'Too many requests', retryAfter: wait }, { 'Retry-After': String(wait) });
+      
+      record = idempotencyRecord(req, user);
+      if (record && record.error) return send(record.status, { error: record.error });
+      if (record && record.replay) return send(record.replay.status, record.replay.result, { 'Idempotent-Replayed': 'true' });
+      if (record) idempotencyInFlight.add(record.id);
+      
+      const result = await handler(req, body, res);
+      // Streaming handlers (SSE, exports) write the response themselves
+      if (res.headersSent) {
+        commit(routeKey);
+        return;
+      }
       const status = result.status || 200;
       delete result.status;
-      res.writeHead(status, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(result));
+      if (record) saveIdempotent(record, status, result);
+      commit(routeKey);
+      send(status, result, result.retryAfter ? { 'Retry-After': String(result.retryAfter) } : {});
     } catch (e) {
+      if (record && record.id) idempotencyInFlight.delete(record.id);
+      commit(routeKey);
+      if (res.headersSent) return res.end();
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: e.message }));
     }
+  } else if (allowed.length) {
+    send(405, { error: 'Method not allowed' }, { Allow: allowed.join(', ') });
   } else {
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found' }));
+    send(404, { error: 'Not found' });
   }
 });
 
-generateMarkets();
+const restored = loadState();
+if (!restored && SEED_DEMO) generateMarkets();
+bootstrapRoles();
+reconcileLedger();
+commit('boot');
+setInterval(takeSnapshot, SNAPSHOT_INTERVAL);
+
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+  takeSnapshot();
+  process.exit(0);
+}));
+
 server.listen(PORT, () => {
   console.log('🚀 Predict X running on port ' + PORT);
   console.log('📈 Markets: ' + db.markets.length);
+  console.log('💾 Storage: ' + STORAGE + (restored ? ' (restored at #' + journal.seq + ')' : ''));
   console.log('🌐 Open: http://localhost:' + PORT);
 });
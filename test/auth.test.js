@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('accounts and sessions', () => {
+  let app;
+  
+  before(async () => {
+    app = await startServer();
+  });
+  
+  after(() => app.stop());
+  
+  it('creates one account from parallel signups for the same user', async () => {
+    const body = { username: 'twin', email: 'twin@test.local', password: 'secret1' };
+    const results = await Promise.all([1, 2].map(() => app.api('POST', '/api/register', { body })));
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 400]);
+    
+    const { data } = await app.api('GET', '/api/stats');
+    assert.equal(data.totalUsers, 1);
+    const { token } = results.find(r => r.status === 200).data;
+    const me = await app.api('GET', '/api/me', { token });
+    assert.equal(me.data.user.balance, 10000);
+  });
+  
+  it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+    const login = await app.api('POST', '/api/login', { body: { email: 'twin@test.local', password: 'secret1' } });
+    assert.equal(login.status, 200);
+    
+    const first = await app.api('POST', '/api/refresh', { body: { refreshToken: login.data.refreshToken } });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.data.refreshToken, login.data.refreshToken);
+    assert.equal((await app.api('GET', '/api/me', { token: first.data.token })).status, 200);
+    
+    const reused = await app.api('POST', '/api/refresh', { body: { refreshToken: login.data.refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.match(reused.data.error, /reused/);
+    assert.equal((await app.api('GET', '/api/me', { token: first.data.token })).status, 401);
+    assert.equal((await app.api('POST', '/api/refresh', { body: { refreshToken: first.data.refreshToken } })).status, 401);
+  });
+  
+  it('ends the session on logout', async () => {
+    const login = await app.api('POST', '/api/login', { body: { email: 'twin@test.local', password: 'secret1' } });
+    assert.equal((await app.api('POST', '/api/logout', { token: login.data.token })).status, 200);
+    assert.equal((await app.api('GET', '/api/me', { token: login.data.token })).status, 401);
+    assert.equal((await app.api('POST', '/api/refresh', { body: { refreshToken: login.data.refreshToken } })).status, 401);
+  });
+});
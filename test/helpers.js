@@ -0,0 +1,91 @@
+// Starts server.js on a free port with in-memory storage and gives tests a
+// small JSON client for it, plus a local HTTP server to stand in for
+// webhook receivers and oracles.
+const { spawn } = require('child_process');
+const http = require('http');
+const path = require('path');
+
+const ADMIN_EMAIL = 'admin@test.local';
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function freePort() {
+  const server = await listen(() => {});
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, STORAGE: 'memory', PORT: String(port), ADMIN_EMAILS: ADMIN_EMAIL, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => reject(new Error('Server exited with ' + code + ':\n' + output)));
+  });
+  const base = 'http://127.0.0.1:' + port;
+  
+  async function api(method, route, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + route, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: 'Bearer ' + token } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await res.json();
+    return { status: res.status, data };
+  }
+  
+  // Signs up `name` and returns the access token
+  async function register(name, email = name + '@test.local') {
+    const { status, data } = await api('POST', '/api/register', { body: { username: name, email, password: 'secret1' } });
+    if (status !== 200) throw new Error('Register failed: ' + data.error);
+    return data.token;
+  }
+  
+  async function createMarket(token, fields = {}) {
+    const { status, data } = await api('POST', '/api/markets', {
+      token,
+      body: { title: 'Test market number ' + Math.random().toString(36).slice(2), resolutionCriteria: 'Test', category: 'crypto', closeAt: Date.now() + 60 * 60 * 1000, probability: 50, ...fields }
+    });
+    if (status !== 201) throw new Error('Create market failed: ' + data.error);
+    return data.market;
+  }
+  
+  // SIGTERM lets the server snapshot on the way out; SIGKILL leaves only the journal
+  function stop(signal = 'SIGTERM') {
+    child.removeAllListeners('exit');
+    if (child.exitCode !== null) return Promise.resolve();
+    return new Promise(resolve => {
+      child.on('exit', resolve);
+      child.kill(signal);
+    });
+  }
+  
+  return { base, api, register, registerAdmin: () => register('admin', ADMIN_EMAIL), createMarket, stop };
+}
+
+async function waitFor(check, { timeout = 10000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { startServer, listen, waitFor };
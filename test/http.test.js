@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+describe('HTTP handling', () => {
+  let app;
+  
+  before(async () => {
+    app = await startServer({ BODY_LIMIT: '1024' });
+  });
+  
+  after(() => app.stop());
+  
+  it('stops reading and closes the connection once a chunked body passes the limit', async () => {
+    const chunk = Buffer.alloc(512, 'a');
+    let sent = 0;
+    let status = null;
+    await new Promise(resolve => {
+      const req = http.request(app.base + '/api/register', { method: 'POST', headers: { 'Content-Type': 'application/json' } }, res => {
+        status = res.statusCode;
+        res.resume();
+      });
+      // The server resets the connection under the rest of the upload
+      req.on('error', () => {});
+      req.on('close', resolve);
+      // Keeps uploading until the server hangs up, up to far more than it would ever read
+      const pump = () => {
+        if (req.destroyed || sent >= 4 * 1024 * 1024) return req.end();
+        sent += chunk.length;
+        req.write(chunk, () => setImmediate(pump));
+      };
+      pump();
+    });
+    assert.ok(sent < 1024 * 1024, 'sent ' + sent + ' bytes');
+    // The reset can reach the client ahead of the 413 it follows
+    if (status !== null) assert.equal(status, 413);
+  });
+  
+  it('turns anonymous requests away from every signed-in route', async () => {
+    const { data: spec } = await app.api('GET', '/api/openapi.json');
+    let checked = 0;
+    for (const [path, ops] of Object.entries(spec.paths)) {
+      for (const [method, op] of Object.entries(ops)) {
+        if (!['get', 'delete'].includes(method) || !op.responses[401]) continue;
+        const route = path.replace(/\{[^}]+\}/g, '1').replace(/^(?!\/api)/, '/api');
+        const { status } = await app.api(method.toUpperCase(), route);
+        assert.equal(status, 401, method + ' ' + route);
+        checked++;
+      }
+    }
+    assert.ok(checked > 10);
+    
+    const quote = await app.api('GET', '/api/trade/quote?marketId=0&outcome=YES&amount=10');
+    assert.equal(quote.status, 401);
+    assert.equal((await app.api('GET', '/api/markets')).status, 200);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+describe('API keys', () => {
+  let app, admin, user, market;
+  
+  before(async () => {
+    app = await startServer();
+    admin = await app.registerAdmin();
+    user = await app.register('bot');
+    market = await app.createMarket(admin);
+  });
+  
+  after(() => app.stop());
+  
+  async function createKey(scopes, rateLimit) {
+    const { status, data } = await app.api('POST', '/api/keys', { token: user, body: { name: 'bot', scopes, rateLimit } });
+    assert.equal(status, 200);
+    return { id: data.key.id, keyId: data.key.keyId, secret: data.secret };
+  }
+  
+  function signHeaders(key, method, route, body, timestamp = Date.now()) {
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const signature = crypto.createHmac('sha256', key.secret).update(timestamp + method + route + raw).digest('hex');
+    return { 'X-API-Key': key.keyId, 'X-API-Timestamp': String(timestamp), 'X-API-Signature': signature };
+  }
+  
+  const signed = (key, method, route, body) => app.api(method, route, { body, headers: signHeaders(key, method, route, body) });
+  
+  it('reaches only the routes its scopes allow', async () => {
+    const reader = await createKey(['read']);
+    const me = await signed(reader, 'GET', '/api/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.data.user.username, 'bot');
+    
+    const trade = await signed(reader, 'POST', '/api/trade', { marketId: market.id, outcome: 'YES', amount: 10 });
+    assert.equal(trade.status, 403);
+    assert.match(trade.data.error, /trade scope/);
+    
+    const trader = await createKey(['read', 'trade']);
+    assert.equal((await signed(trader, 'POST', '/api/trade', { marketId: market.id, outcome: 'YES', amount: 10 })).status, 200);
+    // Key management stays with sessions
+    assert.equal((await signed(trader, 'POST', '/api/keys', { name: 'child', scopes: ['read'] })).status, 403);
+  });
+  
+  it('rejects bad, stale and replayed signatures', async () => {
+    const key = await createKey(['read']);
+    const forged = signHeaders({ ...key, secret: 'pxs_wrong' }, 'GET', '/api/me');
+    assert.equal((await app.api('GET', '/api/me', { headers: forged })).status, 401);
+    
+    const stale = signHeaders(key, 'GET', '/api/me', undefined, Date.now() - 60 * 1000);
+    const late = await app.api('GET', '/api/me', { headers: stale });
+    assert.equal(late.status, 401);
+    assert.match(late.data.error, /timestamp/);
+    
+    const headers = signHeaders(key, 'GET', '/api/me');
+    assert.equal((await app.api('GET', '/api/me', { headers })).status, 200);
+    const replay = await app.api('GET', '/api/me', { headers });
+    assert.equal(replay.status, 401);
+    assert.match(replay.data.error, /already been used/);
+    
+    // The signature covers the query string
+    const query = signHeaders(key, 'GET', '/api/markets?limit=1');
+    assert.equal((await app.api('GET', '/api/markets?limit=2', { headers: query })).status, 401);
+  });
+  
+  it('limits requests per minute and logs every attempt', async () => {
+    const key = await createKey(['read'], 2);
+    assert.equal((await signed(key, 'GET', '/api/me')).status, 200);
+    assert.equal((await signed(key, 'GET', '/api/me')).status, 200);
+    assert.equal((await signed(key, 'GET', '/api/me')).status, 429);
+    
+    const { data } = await app.api('GET', '/api/keys/' + key.id + '/log', { token: user });
+    assert.equal(data.entries.length, 3);
+    assert.equal(data.entries.filter(e => e.error).length, 1);
+  });
+  
+  it('stops working once revoked', async () => {
+    const key = await createKey(['read']);
+    assert.equal((await app.api('DELETE', '/api/keys/' + key.id, { token: user })).status, 200);
+    assert.equal((await signed(key, 'GET', '/api/me')).status, 401);
+  });
+});
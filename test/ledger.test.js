@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const cents = n => Math.round(n * 100) / 100;
+
+describe('reconciliation', () => {
+  let app, admin, alice, bob, market;
+  
+  before(async () => {
+    app = await startServer();
+    admin = await app.registerAdmin();
+    alice = await app.register('alice');
+    bob = await app.register('bob');
+    market = await app.createMarket(admin);
+  });
+  
+  after(() => app.stop());
+  
+  async function assertBalanced() {
+    const { status, data } = await app.api('GET', '/api/admin/reconciliation', { token: admin });
+    assert.equal(status, 200);
+    assert.equal(data.drift, 0);
+    assert.deepEqual(data.accounts, []);
+    assert.equal(data.ok, true);
+    return data;
+  }
+  
+  it('balances after buys and sells against the market maker', async () => {
+    const buy = await app.api('POST', '/api/trade', { token: alice, body: { marketId: market.id, outcome: 'YES', amount: 50 } });
+    assert.equal(buy.status, 200);
+    const { data } = await app.api('GET', '/api/me', { token: alice });
+    const position = data.positions.find(p => p.marketId === market.id);
+    const sell = await app.api('POST', '/api/sell', { token: alice, body: { positionId: position.id, shares: Math.floor(position.shares / 2) } });
+    assert.equal(sell.status, 200);
+    await assertBalanced();
+  });
+  
+  it('balances with crossed, resting and cancelled orders', async () => {
+    const bid = await app.api('POST', '/api/orders', { token: alice, body: { marketId: market.id, side: 'YES', price: 60, quantity: 10 } });
+    assert.equal(bid.status, 200);
+    const cross = await app.api('POST', '/api/orders', { token: bob, body: { marketId: market.id, side: 'NO', price: 45, quantity: 10 } });
+    assert.equal(cross.data.fills.length, 1);
+    assert.equal(cross.data.order.status, 'filled');
+    
+    const cancelled = await app.api('POST', '/api/orders', { token: bob, body: { marketId: market.id, side: 'NO', price: 20, quantity: 5 } });
+    assert.equal((await app.api('DELETE', '/api/orders/' + cancelled.data.order.id, { token: bob })).status, 200);
+    // Left resting, so its hold is still outstanding
+    const resting = await app.api('POST', '/api/orders', { token: alice, body: { marketId: market.id, side: 'YES', price: 30, quantity: 8 } });
+    assert.equal(resting.data.order.status, 'open');
+    
+    const books = await assertBalanced();
+    assert.equal(books.liabilities.orders, resting.data.order.reserved);
+  });
+  
+  it('balances after settlement, with the market swept to the treasury', async () => {
+    const resolved = await app.api('POST', '/api/markets/' + market.id + '/resolve', { token: admin, body: { outcome: 'YES' } });
+    assert.equal(resolved.status, 200);
+    const books = await assertBalanced();
+    assert.equal(books.liabilities.orders, 0);
+    assert.equal(books.liabilities.markets, 0);
+  });
+});
+
+describe('category fees', () => {
+  let app, admin, user, crypto, sports;
+  
+  before(async () => {
+    app = await startServer({ TAKER_FEE_BPS: '100', MAKER_FEE_BPS: '0' });
+    admin = await app.registerAdmin();
+    user = await app.register('trader');
+    crypto = await app.createMarket(admin, { category: 'crypto' });
+    sports = await app.createMarket(admin, { category: 'sports' });
+    const { status } = await app.api('PUT', '/api/admin/fees', { token: admin, body: { category: 'crypto', taker: 500, maker: 200 } });
+    assert.equal(status, 200);
+  });
+  
+  after(() => app.stop());
+  
+  const quote = async (market, amount) =>
+    (await app.api('GET', '/api/trade/quote?marketId=' + market.id + '&outcome=YES&amount=' + amount, { token: user })).data.quote;
+  
+  it('charges the override on buys', async () => {
+    assert.equal((await quote(crypto, 40)).feeRate, 500);
+    assert.equal((await quote(sports, 40)).feeRate, 100);
+    
+    const { data } = await app.api('POST', '/api/trade', { token: user, body: { marketId: crypto.id, outcome: 'YES', amount: 40 } });
+    assert.equal(data.fee, cents(data.cost * 0.05));
+    assert.ok(data.total <= 40);
+  });
+  
+  it('charges the override on sells', async () => {
+    const { data } = await app.api('GET', '/api/me', { token: user });
+    const position = data.positions.find(p => p.marketId === crypto.id);
+    const { data: { quote } } = await app.api('GET', '/api/sell/quote?positionId=' + position.id + '&shares=5', { token: user });
+    assert.equal(quote.feeRate, 500);
+    assert.equal(quote.fee, cents(quote.amount * 0.05));
+    
+    const sell = await app.api('POST', '/api/sell', { token: user, body: { positionId: position.id, shares: 5 } });
+    assert.equal(sell.data.fee, quote.fee);
+    assert.equal(sell.data.payout, quote.proceeds);
+  });
+  
+  it('holds and charges the override on limit orders', async () => {
+    const { data: resting } = await app.api('POST', '/api/orders', { token: admin, body: { marketId: crypto.id, side: 'YES', price: 40, quantity: 20 } });
+    assert.equal(resting.order.reserved, cents(20 * 40 / 100 * 1.05));
+    const { data: other } = await app.api('POST', '/api/orders', { token: admin, body: { marketId: sports.id, side: 'YES', price: 40, quantity: 20 } });
+    assert.equal(other.order.reserved, cents(20 * 40 / 100 * 1.01));
+    
+    // Crossing the resting bid fills at its complement, 60c, as taker
+    const { data: taker } = await app.api('POST', '/api/orders', { token: user, body: { marketId: crypto.id, side: 'NO', price: 60, quantity: 10 } });
+    assert.equal(taker.fills.length, 1);
+    assert.equal(taker.fills[0].fee, cents(10 * 60 / 100 * 0.05));
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('rate limits and lockout', () => {
+  let app;
+  
+  before(async () => {
+    app = await startServer({ TRUST_PROXY: '1' });
+    await app.register('victim');
+  });
+  
+  after(() => app.stop());
+  
+  const from = ip => ({ 'X-Forwarded-For': ip });
+  const login = (password, ip) => app.api('POST', '/api/login', { body: { email: 'victim@test.local', password }, headers: from(ip) });
+  
+  it('locks an account after five guesses, even when they arrive at once from many addresses', async () => {
+    const results = await Promise.all(Array.from({ length: 12 }, (_, i) => login('wrong' + i, '10.0.0.' + (i + 1))));
+    const statuses = results.map(r => r.status);
+    assert.equal(statuses.filter(s => s === 401).length, 5);
+    assert.equal(statuses.filter(s => s === 429).length, 7);
+    
+    const right = await login('secret1', '10.0.1.1');
+    assert.equal(right.status, 429);
+    assert.match(right.data.error, /Too many failed sign-ins/);
+  });
+  
+  it('clears the count on a successful sign-in', async () => {
+    const body = { username: 'other', email: 'other@test.local', password: 'secret1' };
+    assert.equal((await app.api('POST', '/api/register', { body, headers: from('10.0.2.1') })).status, 200);
+    const attempt = password => app.api('POST', '/api/login', { body: { email: body.email, password }, headers: from('10.0.2.2') });
+    for (let i = 0; i < 4; i++) assert.equal((await attempt('wrong')).status, 401);
+    assert.equal((await attempt('secret1')).status, 200);
+    for (let i = 0; i < 4; i++) assert.equal((await attempt('wrong')).status, 401);
+  });
+  
+  it('limits sign-ups and sign-ins per address', async () => {
+    const signups = [];
+    for (let i = 0; i < 4; i++) {
+      signups.push((await app.api('POST', '/api/register', { body: { username: 'bulk' + i, email: 'bulk' + i + '@test.local', password: 'secret1' }, headers: from('10.0.3.1') })).status);
+    }
+    assert.deepEqual(signups, [200, 200, 200, 429]);
+    
+    const logins = [];
+    for (let i = 0; i < 11; i++) logins.push((await app.api('POST', '/api/login', { body: { email: 'nobody' + i + '@test.local', password: 'x' }, headers: from('10.0.4.1') })).status);
+    assert.deepEqual(logins.slice(0, 10), Array(10).fill(401));
+    assert.equal(logins[10], 429);
+  });
+});
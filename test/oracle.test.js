@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, listen, waitFor } = require('./helpers');
+
+// Each market reads its own path; /flaky fails once before answering
+describe('oracles', () => {
+  let app, feed, admin, user;
+  const hits = {};
+  
+  before(async () => {
+    feed = await listen((req, res) => {
+      hits[req.url] = (hits[req.url] || 0) + 1;
+      if (req.url === '/flaky' && hits[req.url] === 1) {
+        res.statusCode = 503;
+        return res.end();
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: { price: 150 } }));
+    });
+    app = await startServer({ ORACLE_DISPUTE_WINDOW: '2', ORACLE_RETRY: '1' });
+    admin = await app.registerAdmin();
+    user = await app.register('trader');
+  });
+  
+  after(() => {
+    app.stop();
+    feed.close();
+  });
+  
+  const oracle = route => ({ url: 'http://127.0.0.1:' + feed.address().port + route, path: '$.data.price', comparator: '>', threshold: 100 });
+  const getMarket = async id => (await app.api('GET', '/api/markets/' + id)).data.market;
+  const balance = async () => (await app.api('GET', '/api/me', { token: user })).data.user.balance;
+  
+  it('proposes after close and settles when the dispute window ends', async () => {
+    const market = await app.createMarket(admin, { closeAt: Date.now() + 1500, oracle: oracle('/flaky') });
+    const trade = await app.api('POST', '/api/trade', { token: user, body: { marketId: market.id, outcome: 'YES', amount: 20 } });
+    assert.equal(trade.status, 200);
+    const before = await balance();
+    
+    const proposed = await waitFor(async () => {
+      const m = await getMarket(market.id);
+      return m.proposal && m;
+    });
+    assert.equal(proposed.proposal.status, 'pending');
+    assert.equal(proposed.proposal.outcome, 'YES');
+    assert.equal(proposed.proposal.value, 150);
+    assert.equal(proposed.outcome, null);
+    // The failed fetch is kept next to the one that answered
+    const fetches = proposed.evidence.filter(e => e.type === 'fetch');
+    assert.equal(fetches.length, 2);
+    assert.equal(fetches[0].status, 503);
+    assert.ok(fetches[0].error);
+    assert.match(fetches[1].sha256, /^[0-9a-f]{64}$/);
+    
+    const settled = await waitFor(async () => {
+      const m = await getMarket(market.id);
+      return m.outcome && m;
+    });
+    assert.equal(settled.outcome, 'YES');
+    assert.equal(settled.resolvedBy, 'oracle');
+    assert.equal(settled.proposal.status, 'final');
+    assert.ok(await balance() > before);
+  });
+  
+  it('lets an admin override a pending proposal', async () => {
+    const market = await app.createMarket(admin, { closeAt: Date.now() + 1000, oracle: oracle('/steady') });
+    await waitFor(async () => (await getMarket(market.id)).proposal);
+    
+    const resolved = await app.api('POST', '/api/markets/' + market.id + '/resolve', { token: admin, body: { outcome: 'NO' } });
+    assert.equal(resolved.status, 200);
+    assert.equal(resolved.data.proposal.status, 'overridden');
+    
+    // Past the dispute window the oracle leaves the admin's outcome alone
+    await new Promise(resolve => setTimeout(resolve, 2500));
+    const m = await getMarket(market.id);
+    assert.equal(m.outcome, 'NO');
+    assert.notEqual(m.resolvedBy, 'oracle');
+    assert.equal(m.proposal.status, 'overridden');
+    assert.equal(hits['/steady'], 1);
+  });
+});
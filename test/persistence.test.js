@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+// Restarts a file-backed server on the same data directory and checks that
+// accounts, positions, resting orders and market prices come back as they were
+describe('persistence', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'predictx-'));
+  let app, admin, alice, market, state;
+  
+  const start = () => startServer({ STORAGE: 'file', DATA_DIR: dir });
+  
+  async function capture() {
+    const me = (await app.api('GET', '/api/me', { token: alice })).data;
+    const orders = (await app.api('GET', '/api/orders', { token: alice })).data;
+    const { data: { market: m } } = await app.api('GET', '/api/markets/' + market.id);
+    const book = (await app.api('GET', '/api/markets/' + market.id + '/book')).data;
+    return { balance: me.user.balance, positions: me.positions, orders, prices: m.prices, vol: m.vol, book };
+  }
+  
+  before(async () => {
+    app = await start();
+    admin = await app.registerAdmin();
+    alice = await app.register('alice');
+    market = await app.createMarket(admin);
+    await app.api('POST', '/api/trade', { token: alice, body: { marketId: market.id, outcome: 'YES', amount: 30 } });
+    const order = await app.api('POST', '/api/orders', { token: alice, body: { marketId: market.id, side: 'NO', price: 20, quantity: 10 } });
+    assert.equal(order.data.order.status, 'open');
+    state = await capture();
+  });
+  
+  after(async () => {
+    await app.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('replays the journal after a crash', async () => {
+    await app.stop('SIGKILL');
+    assert.equal(fs.existsSync(path.join(dir, 'snapshot.json')), false);
+    app = await start();
+    assert.deepEqual(await capture(), state);
+  });
+  
+  it('restores from the snapshot taken on shutdown', async () => {
+    await app.stop();
+    assert.equal(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8'), '');
+    app = await start();
+    assert.deepEqual(await capture(), state);
+    
+    const { data } = await app.api('GET', '/api/admin/reconciliation', { token: admin });
+    assert.equal(data.ok, true);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startServer, waitFor } = require('./helpers');
+
+// Sends requests pipelined on one connection, so the server starts them all
+// before the sale a price move queues gets to run
+function pipeline(base, requests) {
+  const { hostname, port } = new URL(base);
+  const raw = requests.map(({ method, path, token, body }) => {
+    const json = JSON.stringify(body || {});
+    return method + ' ' + path + ' HTTP/1.1\r\nHost: ' + hostname + '\r\nAuthorization: Bearer ' + token +
+      '\r\nContent-Type: application/json\r\nContent-Length: ' + Buffer.byteLength(json) + '\r\n\r\n' + json;
+  }).join('');
+  return new Promise((resolve, reject) => {
+    let response = '';
+    const socket = net.connect(port, hostname, () => socket.end(raw));
+    socket.on('data', chunk => {
+      response += chunk;
+      if ((response.match(/^HTTP\/1\.1 /gm) || []).length === requests.length) socket.destroy();
+    });
+    socket.on('close', () => resolve(response.match(/^HTTP\/1\.1 \d+/gm).map(line => parseInt(line.slice(9)))));
+    socket.on('error', reject);
+  });
+}
+
+describe('triggers', () => {
+  let app, admin, alice, bob;
+  
+  before(async () => {
+    app = await startServer();
+    admin = await app.registerAdmin();
+    alice = await app.register('alice');
+    bob = await app.register('bob');
+  });
+  
+  after(() => app.stop());
+  
+  async function openPosition() {
+    const market = await app.createMarket(admin);
+    await app.api('POST', '/api/trade', { token: alice, body: { marketId: market.id, outcome: 'YES', amount: 100 } });
+    const { data } = await app.api('GET', '/api/me', { token: alice });
+    return { market, position: data.positions.find(p => p.marketId === market.id) };
+  }
+  
+  const setTrigger = (position, fields) => app.api('POST', '/api/triggers', { token: alice, body: { positionId: position.id, ...fields } });
+  const getTrigger = async id => (await app.api('GET', '/api/triggers?status=all', { token: alice })).data.triggers.find(t => t.id === id);
+  const crash = market => ({ method: 'POST', path: '/api/trade', token: bob, body: { marketId: market.id, outcome: 'NO', amount: 1500 } });
+  
+  it('sells the position when the price crosses the stop and cancels its other triggers', async () => {
+    const { market, position } = await openPosition();
+    const { data: stop } = await setTrigger(position, { type: 'stop_loss', price: 45 });
+    const { data: profit } = await setTrigger(position, { type: 'take_profit', price: 90 });
+    
+    assert.deepEqual(await pipeline(app.base, [crash(market)]), [200]);
+    const fired = await waitFor(async () => {
+      const t = await getTrigger(stop.trigger.id);
+      return t.status !== 'open' && t;
+    });
+    assert.equal(fired.status, 'triggered');
+    assert.equal(fired.result.shares, position.shares);
+    assert.equal((await getTrigger(profit.trigger.id)).status, 'cancelled');
+    const { data } = await app.api('GET', '/api/me', { token: alice });
+    assert.equal(data.positions.some(p => p.id === position.id), false);
+  });
+  
+  it('stays armed while the market is halted and fires when it resumes', async () => {
+    const { market, position } = await openPosition();
+    const { data: stop } = await setTrigger(position, { type: 'stop_loss', price: 45 });
+    
+    const halt = { method: 'POST', path: '/api/markets/' + market.id + '/halt', token: admin, body: { reason: 'Test' } };
+    assert.deepEqual(await pipeline(app.base, [crash(market), halt]), [200, 200]);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal((await getTrigger(stop.trigger.id)).status, 'open');
+    
+    assert.equal((await app.api('POST', '/api/markets/' + market.id + '/resume', { token: admin })).status, 200);
+    const fired = await waitFor(async () => {
+      const t = await getTrigger(stop.trigger.id);
+      return t.status !== 'open' && t;
+    });
+    assert.equal(fired.status, 'triggered');
+    assert.equal(fired.result.shares, position.shares);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, listen, waitFor } = require('./helpers');
+
+describe('webhooks', () => {
+  let app, receiver, admin, user, market;
+  const received = [];
+  let failNext = 1;
+  
+  before(async () => {
+    receiver = await listen((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = failNext-- > 0 ? 500 : 200;
+        res.end();
+      });
+    });
+    app = await startServer({ WEBHOOK_BACKOFF: '1', WEBHOOK_ALLOW_PRIVATE: '1' });
+    admin = await app.registerAdmin();
+    user = await app.register('trader');
+    market = await app.createMarket(admin);
+  });
+  
+  after(() => {
+    app.stop();
+    receiver.close();
+  });
+  
+  it('signs deliveries and retries failed ones', async () => {
+    const url = 'http://127.0.0.1:' + receiver.address().port + '/hook';
+    const created = await app.api('POST', '/api/webhooks', { token: user, body: { url, events: ['trade.executed'] } });
+    assert.equal(created.status, 200);
+    const { webhook, secret } = created.data;
+    
+    const trade = await app.api('POST', '/api/trade', { token: user, body: { marketId: market.id, outcome: 'YES', amount: 25 } });
+    assert.equal(trade.status, 200);
+    
+    const delivery = await waitFor(async () => {
+      const { data } = await app.api('GET', '/api/webhooks/' + webhook.id + '/deliveries', { token: user });
+      return data.deliveries.find(d => d.status === 'delivered');
+    });
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.event, 'trade.executed');
+    assert.equal(received.length, 2);
+    
+    for (const { headers, body } of received) {
+      const expected = crypto.createHmac('sha256', secret).update(headers['x-predictx-timestamp'] + '.' + body).digest('hex');
+      assert.equal(headers['x-predictx-signature'], 'sha256=' + expected);
+      assert.equal(headers['x-predictx-event'], 'trade.executed');
+    }
+    assert.equal(received[0].body, received[1].body);
+    const payload = JSON.parse(received[1].body);
+    assert.equal(payload.data.marketId, market.id);
+    assert.equal(payload.data.side, 'YES');
+  });
+});
+
+describe('webhook targets', () => {
+  let app, receiver, admin, user;
+  let received = 0;
+  
+  before(async () => {
+    receiver = await listen((req, res) => {
+      received++;
+      res.end();
+    });
+    app = await startServer();
+    admin = await app.registerAdmin();
+    user = await app.register('trader');
+  });
+  
+  after(() => {
+    app.stop();
+    receiver.close();
+  });
+  
+  it('keeps users off private and loopback addresses', async () => {
+    for (const url of ['http://127.0.0.1:9/', 'http://localhost:9/', 'http://10.0.0.1/', 'http://[::1]:9/', 'http://169.254.169.254/', 'http://[64:ff9b::7f00:1]/']) {
+      const { status, data } = await app.api('POST', '/api/webhooks', { token: user, body: { url, events: ['trade.executed'] } });
+      assert.equal(status, 400, url);
+      assert.match(data.error, /private or loopback/);
+    }
+  });
+  
+  it('lets admins use them', async () => {
+    const { status } = await app.api('POST', '/api/webhooks', { token: admin, body: { url: 'http://127.0.0.1:9/', events: ['trade.executed'] } });
+    assert.equal(status, 200);
+  });
+  
+  // Saved while the owner was an admin, so only the delivery-time check stands
+  // between the hook and the loopback receiver
+  it('checks the address each delivery connects to', async () => {
+    const setRole = role => app.api('POST', '/api/admin/roles', { token: admin, body: { username: 'trader', role } });
+    assert.equal((await setRole('admin')).status, 200);
+    const port = receiver.address().port;
+    const hooks = [];
+    for (const url of ['http://127.0.0.1:' + port + '/', 'http://localhost:' + port + '/']) {
+      const { status, data } = await app.api('POST', '/api/webhooks', { token: user, body: { url, events: ['trade.executed'] } });
+      assert.equal(status, 200);
+      hooks.push(data.webhook);
+    }
+    assert.equal((await setRole('user')).status, 200);
+    
+    const market = await app.createMarket(admin);
+    await app.api('POST', '/api/trade', { token: user, body: { marketId: market.id, outcome: 'YES', amount: 10 } });
+    for (const hook of hooks) {
+      const delivery = await waitFor(async () => {
+        const { data } = await app.api('GET', '/api/webhooks/' + hook.id + '/deliveries', { token: user });
+        return data.deliveries.find(d => d.attempts > 0);
+      });
+      assert.equal(delivery.status, 'pending');
+      assert.match(delivery.error, /private or loopback/);
+    }
+    assert.equal(received, 0);
+  });
+});